@@ -1,35 +1,120 @@
 'use strict';
 // Pure functions (parseCSV, buildData, detectColTypes, filterRows, sortRows,
-// buildPageList, getPageSlice, calcTotalPages, escapeCSVField) live in lib.js
-// and are available as globals when loaded before this script.
-
-/* ============================================================
-   State — single source of truth
-   ============================================================ */
-const state = {
-  headers: [],       // string[]
-  data: [],          // string[][]  (all rows, post-parse)
-  colTypes: {},      // {col: 'number'|'date'|'string'}
-  filtered: [],      // string[][] current filtered + sorted view
-  sortCol: -1,       // column index, -1 = none
-  sortDir: 'none',   // 'asc'|'desc'|'none'
-  globalSearch: '',
-  colFilters: [],    // string[] per column
-  page: 1,
-  pageSize: 50,
-  fileName: '',
-};
+// buildPageList, getPageSlice, calcTotalPages, escapeCSVField, formatBytes)
+// live in lib.js and are available as globals when loaded before this script.
+// File parsing runs in csv-worker.js, which loads lib.js itself.
+
+/* ============================================================
+   State — one object per open dataset (tab). `state` is the
+   active one; everything else reads and writes through it.
+   ============================================================ */
+// Import settings: '' / 'auto' = detect from the file
+function defaultImportOptions() {
+  return { encoding: '', delim: '', quote: '', escape: '', skipLines: 0, header: 'auto', decimal: '' };
+}
+
+function defaultSearchMode() {
+  return { regex: false, caseSensitive: false, wholeWord: false, fuzzy: false };
+}
+
+function createState() {
+  return {
+    headers: [],       // string[]
+    data: [],          // string[][]  (all rows, post-parse)
+    colTypes: {},      // {col: type} in effect — detected unless overridden
+    detectedTypes: {}, // {col: type} from detectColTypes
+    typeOverrides: {}, // {header name: type} chosen from the header menu
+    dateFormats: {},   // {col: format} in effect for date columns
+    detectedDateFormats: {}, // {col: format} from detectDateFormat
+    dateFormatOverrides: {}, // {header name: format} chosen from the header menu
+    displayFormats: {},  // {header name: {decimals, thousands, dateStyle}} — how cells show
+    profileCol: -1,    // column shown in the profile panel, -1 = closed
+    rules: {},         // {header name: {required, type, pattern, min, max, allowed, unique}}
+    validation: null,  // cached validateRows result, see currentValidation
+    onlyInvalid: false, // show only rows that break a rule
+    filtered: [],      // string[][] current filtered + sorted view
+    searchIndex: null, // {data, text} lower-cased row text, see currentSearchIndex
+    lastMatch: null,   // {query, data, dataLength, rows} last filter result, before sorting
+    filterTime: null,  // {ms, narrowed} how long the last filter took
+    sortKeys: [],      // [{col, dir: 'asc'|'desc'}] in priority order, [] = file order
+    globalSearch: '',
+    searchMode: defaultSearchMode(), // {regex, caseSensitive, wholeWord, fuzzy} for the global search
+    colFilters: [],    // string[] per column
+    filterModes: [],   // search mode per column filter
+    facets: [],        // per column: values ticked in its facet menu, null = all
+    filterTree: { op: 'and', items: [] }, // filter builder conditions, see compileFilterTree
+    page: 1,
+    pageSize: 50,
+    fileName: '',
+    file: null,        // File/Blob kept so it can be re-parsed with other options
+    pastedText: null,  // clipboard text, kept for the same reason when pasted
+    pastedTable: false, // pastedText was built from an HTML table
+    appended: [],      // further files unioned into this dataset, in order
+    parts: null,       // [{name, headers, data}] per source once files are appended
+    sourceColumn: false, // add a "Source file" column to combined data
+    importOptions: defaultImportOptions(),
+    format: 'csv',     // 'csv' | 'json' (JSON arrays and NDJSON)
+    encoding: '',      // detected character encoding (TextDecoder label)
+    dialect: null,     // sniffed {delim, quote, escape, confidence}
+    hasHeader: true,   // whether row 0 of the parsed file became the headers
+    headerGuess: true, // what guessHasHeader said about the file
+    decimal: '.',      // decimal mark numbers are read with ('.' | ',')
+    detectedDecimal: '.', // what detectDecimalMark said about the file
+    warnings: [],      // parser diagnostics {type, line, col, row, message}
+    warningCount: 0,   // total, including any beyond the stored list
+    issuesDismissed: false,
+  };
+}
+
+let state = createState();
+const datasets = []; // open datasets in tab order; state is one of them once its table opens
 
 /* ============================================================
    Filtering + sorting (stateful wrapper around pure lib fns)
    ============================================================ */
-function applyFiltersAndSort() {
-  let result = filterRows(state.data, state.headers, state.globalSearch, state.colFilters);
-  result = sortRows(result, state.sortCol, state.sortDir, state.colTypes);
-  state.filtered = result;
+// narrow: the global search changed. When the new query just extends
+// the old one and nothing else that filters has changed, the rows it
+// found are filtered again instead of the whole table.
+function applyFiltersAndSort(narrow) {
+  const started = performance.now();
+  const last = state.lastMatch;
+  const filters = otherFiltersKey();
+  const within = narrow && last && last.data === state.data && last.dataLength === state.data.length
+    && last.filters === filters && searchNarrows(last.query, state.globalSearch, state.searchMode) ? last.rows : null;
+  const matched = filterView(state.facets, within);
+  state.lastMatch = {
+    query: state.globalSearch, filters, data: state.data, dataLength: state.data.length, rows: matched,
+  };
+  state.filterTime = { ms: performance.now() - started, narrowed: within !== null };
+
+  const cellOptions = { decimal: state.decimal, dateFormats: state.dateFormats };
+  state.filtered = sortRows(matched, state.sortKeys, state.colTypes, cellOptions);
   state.page = 1;
 }
 
+// The filter settings besides the query, as one comparable string
+function otherFiltersKey() {
+  return JSON.stringify([
+    state.colFilters, state.filterModes, state.facets, state.filterTree, state.onlyInvalid, state.searchMode,
+  ]);
+}
+
+// Rows passing every filter, with the given facets — a facet menu
+// counts over the rows the other columns' facets leave. within:
+// rows to filter instead of the whole table
+function filterView(facets, within) {
+  let result = filterRows(within || state.data, state.headers, state.globalSearch, state.colFilters, state.colTypes, {
+    decimal: state.decimal, dateFormats: state.dateFormats,
+    searchMode: state.searchMode, filterModes: state.filterModes, facets, filterTree: state.filterTree,
+    searchIndex: state.globalSearch.trim() ? currentSearchIndex() : null,
+  });
+  if (state.onlyInvalid) {
+    const invalid = currentValidation().rows;
+    result = result.filter(row => invalid.has(row));
+  }
+  return result;
+}
+
 /* ============================================================
    Pagination helpers (stateful wrappers)
    ============================================================ */
@@ -68,14 +153,21 @@ function renderHeader() {
   const tr = $('headerRow');
   tr.innerHTML = '';
 
+  const keyCount = state.sortKeys.length;
+
   state.headers.forEach((h, c) => {
-    const dir = state.sortCol === c ? state.sortDir : 'none';
-    const ariaSort = dir === 'asc' ? 'ascending' : dir === 'desc' ? 'descending' : 'none';
+    const rank = state.sortKeys.findIndex(k => k.col === c);
+    const dir = rank === -1 ? 'none' : state.sortKeys[rank].dir;
+    // aria-sort belongs on one header only, so it marks the first key;
+    // the others say their place in their accessible name instead
+    const ariaSort = rank !== 0 ? 'none' : dir === 'asc' ? 'ascending' : 'descending';
+    // With several keys each sorted column shows its priority
+    const priority = keyCount > 1 && rank !== -1 ? rank + 1 : null;
 
     const th = el('th', {
       'data-col': String(c),
       'data-sort': dir,
-      'title': `Sort by ${h}`,
+      'title': priority ? `Sort key ${priority} of ${keyCount} — Shift+click to change` : `Sort by ${h} (Shift+click to add)`,
       'tabindex': '0',
       'aria-sort': ariaSort,
     });
@@ -83,17 +175,26 @@ function renderHeader() {
     const arrowUp   = el('span', { class: 'arrow-up',   'aria-hidden': 'true' }, '▲');
     const arrowDown = el('span', { class: 'arrow-down', 'aria-hidden': 'true' }, '▼');
     const arrows    = el('span', { class: 'sort-arrows' }, arrowUp, arrowDown);
-    th.appendChild(el('div', { class: 'th-content' }, h, arrows));
-
-    function activate() {
-      if (state.sortCol !== c) {
-        state.sortCol = c;
-        state.sortDir = 'asc';
-      } else if (state.sortDir === 'asc') {
-        state.sortDir = 'desc';
+    const badge     = priority ? el('span', { class: 'sort-priority', 'aria-hidden': 'true' }, String(priority)) : null;
+    const spoken    = priority > 1
+      ? el('span', { class: 'visually-hidden' }, `, sort key ${priority}, ${dir === 'asc' ? 'ascending' : 'descending'}`)
+      : null;
+    th.appendChild(el('div', { class: 'th-content' }, typeBadge(h, c), h, infoButton(h, c), arrows, badge, spoken));
+
+    // A plain click sorts by this column alone — turning it over
+    // (asc → desc → off) if it was the first key, else starting at asc.
+    // Shift adds it as the next key, or turns an existing key over.
+    function activate(add) {
+      const next = dir === 'none' ? 'asc' : dir === 'asc' ? 'desc' : 'none';
+      if (!add) {
+        if (rank > 0) state.sortKeys = [{ col: c, dir: 'asc' }];
+        else state.sortKeys = next === 'none' ? [] : [{ col: c, dir: next }];
+      } else if (rank === -1) {
+        state.sortKeys = state.sortKeys.concat({ col: c, dir: 'asc' });
+      } else if (next === 'none') {
+        state.sortKeys = state.sortKeys.filter(k => k.col !== c);
       } else {
-        state.sortDir = 'none';
-        state.sortCol = -1;
+        state.sortKeys = state.sortKeys.map(k => (k.col === c ? { col: c, dir: next } : k));
       }
       applyFiltersAndSort();
       // Only re-render header (updates sort arrows) + body + pagination.
@@ -108,11 +209,11 @@ function renderHeader() {
       if (rebuilt && document.activeElement === document.body) rebuilt.focus();
     }
 
-    th.onclick = activate;
+    th.onclick = e => activate(e.shiftKey);
     th.onkeydown = e => {
       if (e.key === 'Enter' || e.key === ' ') {
         e.preventDefault();
-        activate();
+        activate(e.shiftKey);
         // Re-focus the rebuilt header cell for keyboard users
         const rebuilt = $('headerRow').cells[c];
         if (rebuilt) rebuilt.focus();
@@ -123,11 +224,795 @@ function renderHeader() {
   });
 }
 
+/* ============================================================
+   Column types — badge in each header, menu to override the
+   type and pick how the column's cells are displayed
+   ============================================================ */
+const TYPE_NAMES = {
+  string: 'Text', integer: 'Integer', decimal: 'Decimal', currency: 'Currency',
+  percent: 'Percent', date: 'Date', boolean: 'Boolean', email: 'Email',
+  url: 'URL', empty: 'Empty',
+};
+
+const TYPE_BADGES = {
+  string: 'Abc', integer: '123', decimal: '1.5', currency: '$', percent: '%',
+  date: 'Date', boolean: 'Y/N', email: '@', url: 'URL', empty: '∅',
+};
+
+const DATE_FORMAT_NAMES = {
+  iso: 'YYYY-MM-DD (ISO 8601)', dmy: 'DD/MM/YYYY', mdy: 'MM/DD/YYYY',
+  text: '15 Apr 2020', epoch: 'Unix time (seconds)', 'epoch-ms': 'Unix time (ms)',
+};
+
+const DATE_STYLE_NAMES = { iso: '2020-04-15', dmy: '15/04/2020', mdy: '04/15/2020', long: '15 Apr 2020' };
+
+const THOUSANDS_NAMES = { ',': '1,234', '.': '1.234', ' ': '1 234', "'": "1'234" };
+
+// Overrides are kept by header name so they survive appending files.
+// Date columns also get the one format their values are read with.
+function resolveColTypes() {
+  state.validation = null;
+  state.colTypes = {};
+  state.dateFormats = {};
+  state.detectedDateFormats = {};
+  state.headers.forEach((h, c) => {
+    const type = state.typeOverrides[h] || state.detectedTypes[c] || 'string';
+    state.colTypes[c] = type;
+    if (type !== 'date') return;
+    const values = state.data.slice(0, 500).map(row => row[c]);
+    state.detectedDateFormats[c] = detectDateFormat(values, { decimal: state.decimal, header: h }) || 'iso';
+    state.dateFormats[c] = state.dateFormatOverrides[h] || state.detectedDateFormats[c];
+  });
+}
+
+function typeDescription(c) {
+  const type = state.colTypes[c];
+  return type === 'date'
+    ? `${TYPE_NAMES.date}, ${DATE_FORMAT_NAMES[state.dateFormats[c]]}`
+    : TYPE_NAMES[type];
+}
+
+function typeBadge(h, c) {
+  const type = state.colTypes[c];
+  const overridden = state.typeOverrides[h] != null ||
+    (type === 'date' && state.dateFormatOverrides[h] != null);
+  const badge = el('button', {
+    class: 'type-badge' + (overridden ? ' overridden' : ''),
+    'data-type': type,
+    title: `${typeDescription(c)}${overridden ? ' (set manually)' : ''} — change type`,
+    'aria-label': `${h}: ${typeDescription(c)} column. Change type`,
+    'aria-haspopup': 'menu',
+    'aria-expanded': 'false',
+  }, TYPE_BADGES[type]);
+  // The header cell sorts on click and Enter — keep those to the badge
+  badge.onclick = e => {
+    e.stopPropagation();
+    openTypeMenu(c, badge);
+  };
+  badge.onkeydown = e => e.stopPropagation();
+  return badge;
+}
+
+// Date columns get a second group in the menu for their format
+function openTypeMenu(c, badge) {
+  closeTypeMenu();
+  closeFacetMenu();
+  const menu = $('typeMenu');
+  const h = state.headers[c];
+  menu.innerHTML = '';
+
+  const types = [['', `Auto (${TYPE_NAMES[state.detectedTypes[c]] || 'Text'})`]]
+    .concat(COLUMN_TYPES.map(t => [t, TYPE_NAMES[t]]));
+  menu.appendChild(typeMenuGroup('Column type', types, state.typeOverrides[h] || '', type => setColumnType(c, type)));
+
+  if (state.colTypes[c] === 'date') {
+    const formats = [['', `Auto (${DATE_FORMAT_NAMES[state.detectedDateFormats[c]]})`]]
+      .concat(DATE_FORMATS.map(f => [f, DATE_FORMAT_NAMES[f]]));
+    menu.appendChild(el('div', { class: 'type-menu-separator', role: 'separator' }));
+    menu.appendChild(typeMenuGroup('Date format', formats, state.dateFormatOverrides[h] || '', format => setDateFormat(c, format)));
+  }
+  for (const [label, key, items] of displayMenuGroups(c)) {
+    const current = (state.displayFormats[h] || {})[key];
+    menu.appendChild(el('div', { class: 'type-menu-separator', role: 'separator' }));
+    menu.appendChild(typeMenuGroup(label, items, current == null ? '' : `=${current}`,
+      value => setDisplayFormat(c, key, value)));
+  }
+
+  const rect = badge.getBoundingClientRect();
+  menu.style.left = `${rect.left + window.scrollX}px`;
+  menu.style.top  = `${rect.bottom + window.scrollY + 4}px`;
+  menu.hidden = false;
+  menu.dataset.col = String(c);
+  badge.setAttribute('aria-expanded', 'true');
+  menu.querySelector('[aria-checked="true"]').focus({ preventScroll: true });
+}
+
+// [label, display setting, items] for the column's type. Values are
+// '' for the default and '=' + setting otherwise, since '' is itself a
+// setting (no thousands separator).
+function displayMenuGroups(c) {
+  const type = state.colTypes[c];
+  if (isNumericType(type)) {
+    const decimals = [['', 'As in data']].concat([0, 1, 2, 3, 4].map(n => [`=${n}`, String(n)]));
+    const thousands = [['', 'Default'], ['=', 'None']].concat(Object.keys(THOUSANDS_NAMES)
+      .filter(sep => sep !== state.decimal)
+      .map(sep => [`=${sep}`, THOUSANDS_NAMES[sep]]));
+    return [['Decimals', 'decimals', decimals], ['Thousands', 'thousands', thousands]];
+  }
+  if (type === 'date') {
+    const styles = [['', 'As in data']].concat(DATE_STYLES.map(s => [`=${s}`, DATE_STYLE_NAMES[s]]));
+    return [['Show dates as', 'dateStyle', styles]];
+  }
+  return [];
+}
+
+// The options formatCell takes for column c
+function displayOptions(c) {
+  return {
+    ...state.displayFormats[state.headers[c]],
+    decimal: state.decimal,
+    dateFormat: state.dateFormats[c],
+  };
+}
+
+function typeMenuGroup(label, items, current, choose) {
+  const group = el('div', { class: 'type-menu-group', role: 'group', 'aria-label': label },
+    el('div', { class: 'type-menu-label', 'aria-hidden': 'true' }, label));
+  for (const [value, text] of items) {
+    group.appendChild(el('button', {
+      class: 'type-menu-item',
+      role: 'menuitemradio',
+      'aria-checked': String(value === current),
+      tabindex: '-1',
+      onclick: () => {
+        closeTypeMenu();
+        choose(value);
+      },
+    }, text));
+  }
+  return group;
+}
+
+function closeTypeMenu(refocus) {
+  const menu = $('typeMenu');
+  if (menu.hidden) return;
+  menu.hidden = true;
+  const cell = $('headerRow').cells[Number(menu.dataset.col)];
+  const badge = cell && cell.querySelector('.type-badge');
+  if (!badge) return;
+  badge.setAttribute('aria-expanded', 'false');
+  if (refocus) badge.focus();
+}
+
+function applyNumberLocale() {
+  state.decimal = state.importOptions.decimal || state.detectedDecimal;
+  state.detectedTypes = detectColTypes(state.headers, state.data, { decimal: state.decimal });
+  resolveColTypes();
+  applyFiltersAndSort();
+  renderImportBar();
+  renderSchema();
+  state.headers.forEach((_, c) => flagFilter(c));
+  flagSearch();
+  renderBuilder();
+  renderHeader();
+  renderBody();
+  renderPagination();
+  renderRowInfo();
+}
+
+// type '' goes back to the detected type
+function setColumnType(c, type) {
+  const h = state.headers[c];
+  if (type) state.typeOverrides[h] = type;
+  else delete state.typeOverrides[h];
+  refreshColumnTypes(c);
+}
+
+// format '' goes back to the detected format
+function setDateFormat(c, format) {
+  const h = state.headers[c];
+  if (format) state.dateFormatOverrides[h] = format;
+  else delete state.dateFormatOverrides[h];
+  refreshColumnTypes(c);
+}
+
+function setDisplayFormat(c, key, value) {
+  const h = state.headers[c];
+  const formats = { ...state.displayFormats[h] };
+  if (value === '') delete formats[key];
+  else formats[key] = key === 'decimals' ? Number(value.slice(1)) : value.slice(1);
+  state.displayFormats[h] = formats;
+  renderBody();
+  const badge = $('headerRow').cells[c].querySelector('.type-badge');
+  if (badge) badge.focus();
+}
+
+function refreshColumnTypes(c) {
+  resolveColTypes();
+  renderSchema();
+  renderBuilder();
+  flagFilter(c);
+  flagSearch();
+  applyFiltersAndSort();
+  renderHeader();
+  renderBody();
+  renderPagination();
+  renderRowInfo();
+  const badge = $('headerRow').cells[c].querySelector('.type-badge');
+  if (badge) badge.focus();
+}
+
+/* ============================================================
+   Column profile — opened from a header's info button, computed
+   over state.filtered so it follows the active filters
+   ============================================================ */
+function infoButton(h, c) {
+  const open = state.profileCol === c;
+  const btn = el('button', {
+    class: 'col-info',
+    title: `Profile of ${h}`,
+    'aria-label': `Show profile of ${h}`,
+    'aria-controls': 'profilePanel',
+    'aria-expanded': String(open),
+  }, 'ⓘ');
+  // Like the type badge, clicks and keys stay out of the header's sorting
+  btn.onclick = e => {
+    e.stopPropagation();
+    if (state.profileCol === c) closeProfile();
+    else openProfile(c);
+  };
+  btn.onkeydown = e => e.stopPropagation();
+  return btn;
+}
+
+function openProfile(c) {
+  state.profileCol = c;
+  renderHeader();
+  renderProfile();
+  $('profileClose').focus();
+}
+
+function closeProfile() {
+  const c = state.profileCol;
+  state.profileCol = -1;
+  renderHeader();
+  renderProfile();
+  const cell = $('headerRow').cells[c];
+  const btn = cell && cell.querySelector('.col-info');
+  if (btn) btn.focus();
+}
+
+// Rows that haven't all arrived yet would only give a partial
+// profile — it's refreshed once the load finishes
+function renderProfile() {
+  const panel = $('profilePanel');
+  const c = state.profileCol;
+  if (c < 0 || c >= state.headers.length) {
+    panel.classList.add('hidden');
+    return;
+  }
+  if (activeLoad) return;
+
+  const type = state.colTypes[c];
+  const p = profileColumn(state.filtered, c, type, { decimal: state.decimal, dateFormat: state.dateFormats[c] });
+  panel.classList.remove('hidden');
+  $('profileTitle').textContent = `${state.headers[c]} — ${typeDescription(c)}`;
+
+  const facts = [
+    ['Rows', p.count],
+    ['Empty', p.empty],
+    ['Distinct', p.distinct],
+  ];
+  if (p.invalid > 0) facts.push([`Not ${TYPE_NAMES[type].toLowerCase()}`, p.invalid]);
+  const stats = facts.map(([label, n]) => [label, n.toLocaleString()]);
+  if (p.stats) {
+    for (const key of ['min', 'max', 'mean', 'median', 'stddev']) {
+      stats.push([PROFILE_STAT_NAMES[key], profileNumber(p.stats[key])]);
+    }
+  }
+  if (p.range) stats.push(['Range', `${profileDate(p.range.min)} – ${profileDate(p.range.max)}`]);
+
+  const body = $('profileBody');
+  body.innerHTML = '';
+  const dl = el('dl', { class: 'profile-stats' });
+  for (const [label, value] of stats) dl.appendChild(el('div', null, el('dt', null, label), el('dd', null, value)));
+  body.appendChild(dl);
+
+  if (p.histogram) {
+    const label = type === 'date' ? profileDate : profileNumber;
+    body.appendChild(profileChart('Distribution', p.histogram.map(bin => ({
+      label: `${label(bin.from)} – ${label(bin.to)}`, count: bin.count,
+    })), 'columns'));
+  }
+  body.appendChild(profileChart('Most frequent', p.top.map(t => ({ label: t.value, count: t.count })), 'bars'));
+}
+
+const PROFILE_STAT_NAMES = { min: 'Min', max: 'Max', mean: 'Mean', median: 'Median', stddev: 'Std. dev.' };
+
+// 'columns' is a histogram; 'bars' lists each label with its bar
+function profileChart(title, items, kind) {
+  const max = Math.max(1, ...items.map(item => item.count));
+  const chart = el('figure', { class: `profile-chart profile-${kind}` },
+    el('figcaption', null, title));
+  if (items.length === 0) {
+    chart.appendChild(el('p', { class: 'profile-none' }, 'No values'));
+    return chart;
+  }
+  const list = el('ol');
+  for (const item of items) {
+    const bar = el('span', { class: 'profile-bar', 'aria-hidden': 'true' });
+    bar.style.setProperty('--share', String(item.count / max));
+    const text = `${item.label}: ${item.count.toLocaleString()}`;
+    list.appendChild(kind === 'columns'
+      ? el('li', { title: text, 'aria-label': text }, bar)
+      : el('li', { title: text },
+        el('span', { class: 'profile-label' }, item.label || '(blank)'),
+        bar,
+        el('span', { class: 'profile-count' }, item.count.toLocaleString())));
+  }
+  chart.appendChild(list);
+  return chart;
+}
+
+// Up to 4 decimals, written in the file's number locale
+function profileNumber(n) {
+  const text = String(Math.round(n * 1e4) / 1e4);
+  if (/e/i.test(text)) return text;
+  return formatCell(text.replace('.', state.decimal), 'decimal', { decimal: state.decimal });
+}
+
+function profileDate(t) {
+  if (!(Math.abs(t) < 8.64e15)) return String(t);
+  const iso = new Date(t).toISOString();
+  return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : `${iso.slice(0, 10)} ${iso.slice(11, 16)}`;
+}
+
+/* ============================================================
+   Validation rules — edited per column in the rules panel, kept
+   by header name like type overrides, saved and loaded as JSON
+   ============================================================ */
+// Cached until the rules, types or data change; rows streamed in
+// since the last check are caught by the row count
+function currentValidation() {
+  const cached = state.validation;
+  if (cached && cached.dataLength === state.data.length) return cached;
+  const result = validateRows(state.data, state.headers, state.rules,
+    { decimal: state.decimal, dateFormats: state.dateFormats });
+  state.validation = { ...result, dataLength: state.data.length };
+  return state.validation;
+}
+
+// Built once per table and kept; rows streamed in since are added
+function currentSearchIndex() {
+  const cached = state.searchIndex;
+  const same = cached && cached.data === state.data;
+  if (same && cached.text.size === state.data.length) return cached.text;
+  state.searchIndex = { data: state.data, text: buildSearchIndex(state.data, same ? cached.text : null) };
+  return state.searchIndex.text;
+}
+
+// Typing waits for a pause before refiltering large tables; small
+// ones refilter at once. The search box and the column filters wait
+// apart, so typing in one never drops the other's pending refilter.
+const FILTER_DEBOUNCE_MS = 150;
+const FILTER_DEBOUNCE_ROWS = 20000;
+const filterTimers = { search: null, columns: null };
+
+function scheduleFilter(kind, refilter) {
+  clearTimeout(filterTimers[kind]);
+  if (state.data.length < FILTER_DEBOUNCE_ROWS) refilter();
+  else filterTimers[kind] = setTimeout(refilter, FILTER_DEBOUNCE_MS);
+}
+
+function hasRules() {
+  return Object.keys(state.rules).length > 0;
+}
+
+function toggleRulesPanel(show) {
+  const panel = $('rulesPanel');
+  const visible = show == null ? panel.classList.contains('hidden') : show;
+  panel.classList.toggle('hidden', !visible);
+  $('btnRules').setAttribute('aria-expanded', String(visible));
+  if (visible) renderRulesPanel();
+}
+
+// One row of inputs per column. Typing only updates the rules; the
+// inputs are rebuilt when the columns or the whole rule set change.
+function renderRulesPanel() {
+  const body = $('rulesBody');
+  body.innerHTML = '';
+  $('optOnlyInvalid').disabled = !hasRules();
+  if ($('rulesPanel').classList.contains('hidden')) return;
+
+  state.headers.forEach(h => {
+    const rule = state.rules[h] || {};
+    const field = (key, attrs, read) => {
+      const input = el('input', { ...attrs, 'aria-label': `${h}: ${RULE_NAMES[key]}` });
+      if (attrs.type === 'checkbox') input.checked = !!rule[key];
+      else input.value = rule[key] == null ? '' : key === 'allowed' ? rule[key].join(', ') : String(rule[key]);
+      input.onchange = () => setRule(h, key, read(input), input);
+      return el('td', null, input);
+    };
+    const typeSelect = el('select', { 'aria-label': `${h}: ${RULE_NAMES.type}` },
+      el('option', { value: '' }, 'Any'),
+      ...COLUMN_TYPES.filter(t => t !== 'empty').map(t => el('option', { value: t }, TYPE_NAMES[t])));
+    typeSelect.value = rule.type || '';
+    typeSelect.onchange = () => setRule(h, 'type', typeSelect.value || null);
+
+    body.appendChild(el('tr', null,
+      el('th', { scope: 'row' }, h),
+      field('required', { type: 'checkbox' }, input => input.checked || null),
+      el('td', null, typeSelect),
+      field('pattern', { type: 'text', class: 'rule-pattern', placeholder: '^[A-Z]{3}$' }, input => input.value || null),
+      field('min', { type: 'number', step: 'any', class: 'rule-number' }, readRuleNumber),
+      field('max', { type: 'number', step: 'any', class: 'rule-number' }, readRuleNumber),
+      field('allowed', { type: 'text', placeholder: 'a, b, c' }, input => {
+        const values = input.value.split(',').map(v => v.trim()).filter(Boolean);
+        return values.length > 0 ? values : null;
+      }),
+      field('unique', { type: 'checkbox' }, input => input.checked || null)));
+  });
+}
+
+const RULE_NAMES = {
+  required: 'Required', type: 'Type', pattern: 'Pattern', min: 'Min', max: 'Max',
+  allowed: 'Allowed values', unique: 'Unique',
+};
+
+function readRuleNumber(input) {
+  return input.value === '' ? null : Number(input.value);
+}
+
+// value null removes the rule; a pattern that isn't a valid regular
+// expression is flagged on its input and not applied
+function setRule(h, key, value, input) {
+  if (key === 'pattern' && value != null) {
+    try {
+      new RegExp(value);
+    } catch (err) {
+      input.setAttribute('aria-invalid', 'true');
+      input.title = err.message;
+      return;
+    }
+  }
+  if (input) {
+    input.removeAttribute('aria-invalid');
+    input.title = '';
+  }
+
+  const rule = { ...state.rules[h] };
+  if (value == null) delete rule[key];
+  else rule[key] = value;
+  if (Object.keys(rule).length > 0) state.rules[h] = rule;
+  else delete state.rules[h];
+  applyRules();
+}
+
+function applyRules() {
+  state.validation = null;
+  if (!hasRules()) state.onlyInvalid = false;
+  $('optOnlyInvalid').checked = state.onlyInvalid;
+  $('optOnlyInvalid').disabled = !hasRules();
+  applyFiltersAndSort();
+  renderBody();
+  renderPagination();
+  renderRowInfo();
+}
+
+function saveRules() {
+  const name = state.fileName.replace(/\.[^.]*$/, '') || 'data';
+  downloadFile(JSON.stringify({ columns: state.rules }, null, 2) + '\n', 'application/json', `${name}.rules.json`);
+}
+
+// Rules for columns this table doesn't have are kept — they apply
+// again if a file with those columns is appended
+function loadRules(file) {
+  const reader = new FileReader();
+  reader.onerror = () => showLoadNotice(`Could not read ${file.name}.`);
+  reader.onload = e => {
+    let rules;
+    try {
+      rules = parseRulesJSON(e.target.result);
+    } catch (err) {
+      showLoadNotice(`Could not load rules from ${file.name}: ${err.message}`);
+      return;
+    }
+    state.rules = rules;
+    const names = Object.keys(rules);
+    const found = names.filter(h => state.headers.includes(h)).length;
+    showLoadNotice(`Loaded rules for ${found} of ${names.length} column${names.length === 1 ? '' : 's'} from ${file.name}.`);
+    renderRulesPanel();
+    applyRules();
+  };
+  reader.readAsText(file);
+}
+
+/* ============================================================
+   Filter builder — nested AND / OR groups of conditions, on top
+   of the other filters (see compileFilterTree). Named presets
+   live in localStorage and are exported / imported as JSON.
+   ============================================================ */
+const FILTER_OPERATOR_NAMES = {
+  contains: 'contains', 'not-contains': 'does not contain', equals: 'is', 'not-equals': 'is not',
+  'starts-with': 'starts with', 'ends-with': 'ends with', empty: 'is empty', 'not-empty': 'is not empty',
+  '=': '=', '!=': '≠', '>': '>', '>=': '≥', '<': '<', '<=': '≤', between: 'between',
+  on: 'on', before: 'before', after: 'after', true: 'is true', false: 'is false',
+};
+
+const PRESETS_KEY = 'csv-table.filterPresets';
+const VALUE_SUGGESTIONS = 200; // most common values offered for a text condition
+
+let builderMessages = new Map(); // condition → its problem <span>, rebuilt with the panel
+
+function toggleBuilderPanel(show) {
+  const panel = $('builderPanel');
+  const visible = show == null ? panel.classList.contains('hidden') : show;
+  panel.classList.toggle('hidden', !visible);
+  $('btnBuilder').setAttribute('aria-expanded', String(visible));
+  if (visible) renderBuilder();
+}
+
+// Changes to the tree's shape rebuild the panel; values typed into a
+// condition only re-filter, so the input keeps focus
+function renderBuilder() {
+  const root = $('builderTree');
+  root.innerHTML = '';
+  builderMessages = new Map();
+  if (!$('builderPanel').classList.contains('hidden')) {
+    root.appendChild(builderGroup(state.filterTree, null));
+    renderPresetList();
+  }
+  flagBuilder();
+}
+
+function applyBuilder() {
+  applyFiltersAndSort();
+  renderBody();
+  renderPagination();
+  renderRowInfo();
+  flagBuilder();
+}
+
+// Problems show next to their condition; the header button counts
+// the conditions so a hidden panel's filter isn't forgotten
+function flagBuilder() {
+  const count = countConditions(state.filterTree);
+  $('btnBuilder').textContent = count > 0 ? `Filters (${count})` : 'Filters';
+  if (builderMessages.size === 0) return;
+  const { problems } = compileFilterTree(state.filterTree, state.headers, state.colTypes,
+    { decimal: state.decimal, dateFormats: state.dateFormats });
+  builderMessages.forEach((message, cond) => {
+    message.textContent = problems.get(cond) || '';
+    message.hidden = !problems.has(cond);
+  });
+}
+
+function countConditions(group) {
+  return group.items.reduce((n, item) => n + (Array.isArray(item.items) ? countConditions(item) : 1), 0);
+}
+
+function builderGroup(group, parent) {
+  const op = el('select', { class: 'builder-select', 'aria-label': 'Match' },
+    el('option', { value: 'and' }, 'All of (AND)'),
+    el('option', { value: 'or' }, 'Any of (OR)'));
+  op.value = group.op;
+  op.onchange = () => {
+    group.op = op.value;
+    applyBuilder();
+  };
+
+  const reshape = change => () => {
+    change();
+    renderBuilder();
+    applyBuilder();
+  };
+  const head = el('div', { class: 'builder-group-head' }, op,
+    el('button', { type: 'button', class: 'schema-action', onclick: reshape(() => group.items.push(newCondition())) },
+      '+ Condition'),
+    el('button', {
+      type: 'button', class: 'schema-action',
+      onclick: reshape(() => group.items.push({ op: group.op === 'and' ? 'or' : 'and', items: [newCondition()] })),
+    }, '+ Group'));
+  if (parent) head.appendChild(builderRemove('Remove group', parent, group));
+
+  const box = el('div', { class: 'builder-group', role: 'group', 'aria-label': parent ? 'Condition group' : 'Conditions' }, head);
+  for (const item of group.items) {
+    box.appendChild(Array.isArray(item.items) ? builderGroup(item, group) : builderCondition(item, group));
+  }
+  if (group.items.length === 0) box.appendChild(el('p', { class: 'builder-empty' }, 'No conditions — every row shows.'));
+  return box;
+}
+
+function builderRemove(label, parent, item) {
+  return el('button', {
+    type: 'button', class: 'builder-remove', 'aria-label': label, title: label,
+    onclick: () => {
+      parent.items.splice(parent.items.indexOf(item), 1);
+      renderBuilder();
+      applyBuilder();
+    },
+  }, '✕');
+}
+
+function builderCondition(cond, group) {
+  const c = state.headers.indexOf(cond.column);
+  const kind = filterOperatorKind(state.colTypes[c]);
+
+  // A preset's column this table lacks stays listed, so it can be seen and changed
+  const column = el('select', { class: 'builder-select', 'aria-label': 'Column' },
+    ...(c < 0 ? [el('option', { value: cond.column }, `${cond.column} (missing)`)] : []),
+    ...state.headers.map(h => el('option', { value: h }, h)));
+  column.value = cond.column;
+  column.onchange = () => {
+    cond.column = column.value;
+    const ops = FILTER_OPERATORS[filterOperatorKind(state.colTypes[state.headers.indexOf(cond.column)])];
+    if (!ops.includes(cond.op)) setConditionOp(cond, ops[0]);
+    renderBuilder();
+    applyBuilder();
+  };
+
+  const ops = FILTER_OPERATORS[kind].includes(cond.op) ? FILTER_OPERATORS[kind] : [cond.op].concat(FILTER_OPERATORS[kind]);
+  const op = el('select', { class: 'builder-select', 'aria-label': 'Operator' },
+    ...ops.map(o => el('option', { value: o }, FILTER_OPERATOR_NAMES[o] || o)));
+  op.value = cond.op;
+  op.onchange = () => {
+    setConditionOp(cond, op.value);
+    renderBuilder();
+    applyBuilder();
+  };
+
+  const message = el('span', { class: 'builder-problem', hidden: '' });
+  builderMessages.set(cond, message);
+  return el('div', { class: 'builder-condition' },
+    column, op, ...conditionInputs(cond, c, kind), builderRemove('Remove condition', group, cond), message);
+}
+
+function newCondition() {
+  const column = state.headers[0] || '';
+  const cond = { column, op: '', value: '' };
+  setConditionOp(cond, FILTER_OPERATORS[filterOperatorKind(state.colTypes[0])][0]);
+  return cond;
+}
+
+// Keeps what was typed where the new operator takes a value too
+function setConditionOp(cond, op) {
+  cond.op = op;
+  if (FILTER_VALUELESS.includes(op)) delete cond.value;
+  else if (op === 'between') cond.value = Array.isArray(cond.value) ? cond.value : [cond.value || '', ''];
+  else if (typeof cond.value !== 'string') cond.value = Array.isArray(cond.value) ? cond.value[0] : '';
+}
+
+// Number and date conditions get number and date inputs; text ones
+// suggest the column's most common values
+function conditionInputs(cond, c, kind) {
+  if (FILTER_VALUELESS.includes(cond.op)) return [];
+  const attrs = kind === 'number' ? { type: 'number', step: 'any' } : kind === 'date' ? { type: 'date' } : { type: 'text' };
+  if (kind === 'text' && c >= 0) attrs.list = valueSuggestions(c);
+
+  const field = (value, label, set) => {
+    const input = el('input', { ...attrs, class: 'builder-value', 'aria-label': label });
+    input.value = value;
+    input.oninput = () => {
+      set(input.value);
+      applyBuilder();
+    };
+    return input;
+  };
+  if (cond.op === 'between') {
+    return [
+      field(cond.value[0], 'From', v => { cond.value[0] = v; }),
+      el('span', { class: 'builder-and' }, 'and'),
+      field(cond.value[1], 'To', v => { cond.value[1] = v; }),
+    ];
+  }
+  return [field(cond.value, 'Value', v => { cond.value = v; })];
+}
+
+// One <datalist> per column, made the first time a condition needs it
+function valueSuggestions(c) {
+  const id = `builderValues${c}`;
+  if (!$(id)) {
+    const values = facetValues(state.data, c).filter(v => v.value !== '').slice(0, VALUE_SUGGESTIONS);
+    $('builderTree').appendChild(el('datalist', { id }, ...values.map(v => el('option', { value: v.value }))));
+  }
+  return id;
+}
+
+// Storage can be off or full; presets then just don't persist
+function readPresets() {
+  try {
+    return parseFilterPresetsJSON(localStorage.getItem(PRESETS_KEY) || '{"presets": []}');
+  } catch (err) {
+    return [];
+  }
+}
+
+function writePresets(presets) {
+  try {
+    localStorage.setItem(PRESETS_KEY, JSON.stringify({ presets }));
+    return true;
+  } catch (err) {
+    showLoadNotice(`Could not save presets: ${err.message}`);
+    return false;
+  }
+}
+
+function renderPresetList(selected) {
+  const select = $('presetSelect');
+  const names = readPresets().map(p => p.name);
+  const current = selected == null ? select.value : selected;
+  select.innerHTML = '';
+  select.appendChild(el('option', { value: '' }, names.length > 0 ? 'Presets…' : 'No presets'));
+  for (const name of names) select.appendChild(el('option', { value: name }, name));
+  select.value = names.includes(current) ? current : '';
+  $('presetDelete').disabled = !select.value;
+  $('presetExport').disabled = names.length === 0;
+}
+
+function applyPreset(name) {
+  const preset = readPresets().find(p => p.name === name);
+  $('presetDelete').disabled = !preset;
+  if (!preset) return;
+  state.filterTree = preset.filter;
+  $('presetName').value = name;
+  renderBuilder();
+  applyBuilder();
+}
+
+// A preset with the same name is replaced
+function savePreset() {
+  const nameInput = $('presetName');
+  const name = nameInput.value.trim();
+  if (!name) {
+    nameInput.setAttribute('aria-invalid', 'true');
+    nameInput.focus();
+    return;
+  }
+  nameInput.removeAttribute('aria-invalid');
+  const presets = readPresets().filter(p => p.name !== name);
+  presets.push({ name, filter: normalizeFilterTree(state.filterTree) });
+  presets.sort((a, b) => a.name.localeCompare(b.name));
+  if (writePresets(presets)) renderPresetList(name);
+}
+
+function deletePreset() {
+  const name = $('presetSelect').value;
+  if (!name) return;
+  if (writePresets(readPresets().filter(p => p.name !== name))) renderPresetList('');
+}
+
+function exportPresets() {
+  downloadFile(JSON.stringify({ presets: readPresets() }, null, 2) + '\n', 'application/json', 'filter-presets.json');
+}
+
+// Imported presets replace saved ones of the same name
+function importPresets(file) {
+  const reader = new FileReader();
+  reader.onerror = () => showLoadNotice(`Could not read ${file.name}.`);
+  reader.onload = e => {
+    let imported;
+    try {
+      imported = parseFilterPresetsJSON(e.target.result);
+    } catch (err) {
+      showLoadNotice(`Could not import presets from ${file.name}: ${err.message}`);
+      return;
+    }
+    const byName = new Map(readPresets().map(p => [p.name, p]));
+    for (const preset of imported) byName.set(preset.name, preset);
+    const presets = Array.from(byName.values()).sort((a, b) => a.name.localeCompare(b.name));
+    if (!writePresets(presets)) return;
+    showLoadNotice(`Imported ${imported.length} preset${imported.length === 1 ? '' : 's'} from ${file.name}.`);
+    renderPresetList();
+  };
+  reader.readAsText(file);
+}
+
 /* ============================================================
    Render: filter row
    ============================================================ */
 function renderFilterRow() {
   const tr = $('filterRow');
+  closeFacetMenu();
   tr.innerHTML = '';
 
   state.headers.forEach((h, c) => {
@@ -136,255 +1021,1418 @@ function renderFilterRow() {
       class: 'col-filter',
       placeholder: 'Filter…',
       'aria-label': `Filter by ${h}`,
+      'aria-describedby': `filterError${c}`,
       value: state.colFilters[c] || '',
     });
-    input.oninput = () => {
-      state.colFilters[c] = input.value;
+    const refilter = () => {
+      flagFilter(c);
       applyFiltersAndSort();
       renderBody();
       renderPagination();
       renderRowInfo();
     };
+    input.oninput = () => {
+      state.colFilters[c] = input.value;
+      flagFilter(c);
+      scheduleFilter('columns', refilter);
+    };
+    const modes = el('span', { class: 'search-modes', role: 'group', 'aria-label': `${h} filter options` },
+      ...FILTER_MODES.map(key => el('button', { type: 'button', class: 'mode-btn', 'data-mode': key })));
+    syncModeButtons(modes, state.filterModes[c]);
+    wireModeButtons(modes, input, () => state.filterModes[c], refilter);
+
+    const facet = el('button', {
+      type: 'button',
+      class: 'facet-btn',
+      'aria-haspopup': 'dialog',
+      'aria-expanded': 'false',
+      'aria-label': `Pick ${h} values`,
+      onclick: e => {
+        e.stopPropagation();
+        if ($('facetMenu').hidden || $('facetMenu').dataset.col !== String(c)) openFacetMenu(c, facet);
+        else closeFacetMenu(true);
+      },
+    }, '▾');
+
     const th = el('th');
-    th.appendChild(input);
+    th.appendChild(el('div', { class: 'filter-field' }, input, modes, facet));
+    th.appendChild(el('span', { id: `filterError${c}`, class: 'filter-error', hidden: '' }));
     tr.appendChild(th);
+    flagFilter(c);
+    syncFacetButton(c);
   });
 }
 
+const FILTER_HINTS = {
+  number: 'Text, or >100, <=5, 10..20, =0, !=0; ! negates',
+  date: 'Text, or after 2020-01-01, <2020-01-01, 2019-01-01..2020-12-31; ! negates',
+  other: 'Text, or =exact value; ! negates',
+};
+
+// An expression that doesn't parse is ignored by filterRows — say why
+// next to the input instead of silently showing every row
+function flagFilter(c) {
+  const cell = $('filterRow').cells[c];
+  if (!cell) return;
+  const input = cell.querySelector('.col-filter');
+  const message = cell.querySelector('.filter-error');
+  const type = state.colTypes[c];
+  const mode = state.filterModes[c];
+  const { error } = compileColumnFilter(input.value, type, { decimal: state.decimal, dateFormat: state.dateFormats[c], mode });
+
+  input.classList.toggle('invalid', !!error);
+  if (error) input.setAttribute('aria-invalid', 'true');
+  else input.removeAttribute('aria-invalid');
+  input.title = mode && mode.regex
+    ? 'Regular expression'
+    : FILTER_HINTS[isNumericType(type) ? 'number' : type === 'date' ? 'date' : 'other'];
+  message.textContent = error || '';
+  message.hidden = !error;
+}
+
+const SEARCH_HINT = 'Words, "exact phrases", column:value (salary:>90000), -exclude, OR, ( )';
+
+// Same idea for the global search, whose error goes in the tooltip
+function flagSearch() {
+  const input = $('globalSearch');
+  const cellOptions = { decimal: state.decimal, dateFormats: state.dateFormats, mode: state.searchMode };
+  const { error } = compileSearchQuery(state.globalSearch, state.headers, state.colTypes, cellOptions);
+
+  input.closest('.search-wrap').classList.toggle('invalid', !!error);
+  if (error) input.setAttribute('aria-invalid', 'true');
+  else input.removeAttribute('aria-invalid');
+  input.title = error || (state.searchMode.fuzzy ? 'Fuzzy: small typos allowed, best matches first'
+    : state.searchMode.regex ? 'Regular expression, tried on every cell' : SEARCH_HINT);
+}
+
 /* ============================================================
-   Render: table body
+   Facet menu — the ▾ on a filter cell: the column's values with
+   row counts, ticked to pick which ones show. Counts follow the
+   other filters, like a spreadsheet autofilter. Ticking applies
+   at once; state.facets[c] goes back to null once every value in
+   the column is ticked again.
    ============================================================ */
-function renderBody() {
-  const tbody = $('tableBody');
-  const rows = getPageRows();
-  const frag = document.createDocumentFragment();
-  const colCount = state.headers.length;
+const FACET_LIMIT = 500; // values listed at once; the search narrows the rest
 
-  if (rows.length === 0) {
-    const tr = el('tr', { class: 'empty-row' });
-    tr.appendChild(el('td', { colspan: String(Math.max(colCount, 1)) }, 'No matching rows'));
-    frag.appendChild(tr);
+function openFacetMenu(c, button) {
+  closeFacetMenu();
+  closeTypeMenu();
+  const menu = $('facetMenu');
+  const h = state.headers[c];
+  const others = state.facets.map((values, i) => (i === c ? null : values));
+  const listed = facetValues(filterView(others), c);
+  const all = facetValues(state.data, c).map(v => v.value);
+
+  const search = el('input', {
+    type: 'search',
+    class: 'facet-search',
+    placeholder: 'Search values…',
+    'aria-label': `Search ${h} values`,
+    autocomplete: 'off',
+  });
+  const list = el('div', { class: 'facet-list', role: 'group', 'aria-label': `${h} values` });
+  const note = el('p', { class: 'facet-note', hidden: '' });
+
+  const shown = () => {
+    const q = search.value.trim().toLowerCase();
+    return q ? listed.filter(v => v.value.toLowerCase().includes(q)) : listed;
+  };
+  const isTicked = value => !state.facets[c] || state.facets[c].includes(value);
+  const pick = (values, ticked) => {
+    const picked = new Set(state.facets[c] || all);
+    for (const value of values) {
+      if (ticked) picked.add(value);
+      else picked.delete(value);
+    }
+    state.facets[c] = picked.size === all.length ? null : all.filter(v => picked.has(v));
+    syncFacetButton(c);
+    applyFiltersAndSort();
+    renderBody();
+    renderPagination();
+    renderRowInfo();
+  };
+  const renderList = () => {
+    const items = shown();
+    list.innerHTML = '';
+    for (const { value, count } of items.slice(0, FACET_LIMIT)) {
+      const box = el('input', { type: 'checkbox' });
+      box.checked = isTicked(value);
+      box.onchange = () => pick([value], box.checked);
+      list.appendChild(el('label', { class: 'facet-item' }, box,
+        el('span', { class: value === '' ? 'facet-value facet-blank' : 'facet-value' }, value === '' ? '(Blanks)' : value),
+        el('span', { class: 'facet-count' }, count.toLocaleString())));
+    }
+    if (items.length === 0) list.appendChild(el('p', { class: 'facet-note' }, 'No values'));
+    note.hidden = items.length <= FACET_LIMIT;
+    note.textContent = `Showing ${FACET_LIMIT.toLocaleString()} of ${items.length.toLocaleString()} values — search to narrow`;
+  };
+  search.oninput = renderList;
+
+  // With a search, All / None only touch the values it lists
+  const bulk = ticked => () => {
+    pick(search.value.trim() ? shown().map(v => v.value) : all, ticked);
+    renderList();
+  };
+
+  menu.innerHTML = '';
+  menu.setAttribute('aria-label', `${h} values`);
+  menu.appendChild(search);
+  menu.appendChild(el('div', { class: 'facet-actions' },
+    el('button', { type: 'button', class: 'facet-action', onclick: bulk(true) }, 'Select all'),
+    el('button', { type: 'button', class: 'facet-action', onclick: bulk(false) }, 'Select none')));
+  menu.appendChild(list);
+  menu.appendChild(note);
+  renderList();
+
+  const rect = button.getBoundingClientRect();
+  menu.style.left = `${Math.max(0, rect.right + window.scrollX - 240)}px`;
+  menu.style.top  = `${rect.bottom + window.scrollY + 4}px`;
+  menu.hidden = false;
+  menu.dataset.col = String(c);
+  button.setAttribute('aria-expanded', 'true');
+  search.focus({ preventScroll: true });
+}
+
+function closeFacetMenu(refocus) {
+  const menu = $('facetMenu');
+  if (menu.hidden) return;
+  menu.hidden = true;
+  const cell = $('filterRow').cells[Number(menu.dataset.col)];
+  const button = cell && cell.querySelector('.facet-btn');
+  if (!button) return;
+  button.setAttribute('aria-expanded', 'false');
+  if (refocus) button.focus();
+}
+
+// The ▾ stays highlighted while the column's facet hides something
+function syncFacetButton(c) {
+  const cell = $('filterRow').cells[c];
+  const button = cell && cell.querySelector('.facet-btn');
+  if (!button) return;
+  const values = state.facets[c];
+  button.classList.toggle('active', !!values);
+  button.title = values
+    ? `Showing ${values.length.toLocaleString()} picked value${values.length === 1 ? '' : 's'}`
+    : 'Pick values to show';
+}
+
+/* ============================================================
+   Search modes — the Aa / ab / .* toggles next to the global
+   search and each column filter, with Alt+C / W / R from the
+   input itself. The global search also has ~ (fuzzy, Alt+Z),
+   which switches the others off while it's on
+   ============================================================ */
+const SEARCH_MODE_NAMES = {
+  caseSensitive: { label: 'Aa', title: 'Match case', key: 'c' },
+  wholeWord: { label: 'ab', title: 'Whole word', key: 'w' },
+  regex: { label: '.*', title: 'Regular expression', key: 'r' },
+  fuzzy: { label: '~', title: 'Fuzzy match', key: 'z' },
+};
+
+const FILTER_MODES = ['caseSensitive', 'wholeWord', 'regex'];
+
+function syncModeButtons(container, mode) {
+  container.querySelectorAll('.mode-btn').forEach(btn => {
+    const names = SEARCH_MODE_NAMES[btn.dataset.mode];
+    btn.textContent = names.label;
+    btn.title = `${names.title} (Alt+${names.key.toUpperCase()})`;
+    btn.setAttribute('aria-label', names.title);
+    btn.setAttribute('aria-pressed', String(!!mode[btn.dataset.mode]));
+    btn.disabled = !!mode.fuzzy && btn.dataset.mode !== 'fuzzy';
+  });
+}
+
+// getMode is called on every toggle, since the mode object belongs to
+// whichever dataset is open
+function wireModeButtons(container, input, getMode, onChange) {
+  const toggle = key => {
+    const mode = getMode();
+    mode[key] = !mode[key];
+    syncModeButtons(container, mode);
+    onChange();
+  };
+  container.querySelectorAll('.mode-btn').forEach(btn => {
+    btn.onclick = () => toggle(btn.dataset.mode);
+  });
+  input.addEventListener('keydown', e => {
+    if (!e.altKey || e.ctrlKey || e.metaKey) return;
+    const key = Object.keys(SEARCH_MODE_NAMES).find(k => SEARCH_MODE_NAMES[k].key === e.key.toLowerCase());
+    const btn = key && container.querySelector(`[data-mode="${key}"]`);
+    if (!btn || btn.disabled) return;
+    e.preventDefault();
+    toggle(key);
+  });
+}
+
+/* ============================================================
+   Render: table body
+   ============================================================ */
+function renderBody() {
+  const tbody = $('tableBody');
+  const rows = getPageRows();
+  const frag = document.createDocumentFragment();
+  const colCount = state.headers.length;
+  const formats = state.headers.map((_, c) => displayOptions(c));
+  const invalid = currentValidation().rows;
+  const query = state.globalSearch;
+  const highlight = state.searchMode.fuzzy && query.trim() ? text => fuzzyHighlightRanges(text, query) : null;
+
+  if (rows.length === 0) {
+    const tr = el('tr', { class: 'empty-row' });
+    tr.appendChild(el('td', { colspan: String(Math.max(colCount, 1)) }, 'No matching rows'));
+    frag.appendChild(tr);
   } else {
     for (const row of rows) {
       const tr = document.createElement('tr');
+      const problems = invalid.get(row) || {};
       for (let c = 0; c < colCount; c++) {
-        const td = document.createElement('td');
-        td.textContent = row[c] == null ? '' : row[c];
-        tr.appendChild(td);
+        tr.appendChild(renderCell(row[c] == null ? '' : row[c], c, formats[c], problems[c], highlight));
       }
       frag.appendChild(tr);
     }
   }
 
-  tbody.innerHTML = '';
-  tbody.appendChild(frag);
+  tbody.innerHTML = '';
+  tbody.appendChild(frag);
+}
+
+// Cell text always goes in as textContent; links only get http(s) and
+// mailto targets from cellLinkHref. problem is the broken rule, if any.
+function renderCell(val, c, format, problem, highlight) {
+  const type = state.colTypes[c];
+  const td = document.createElement('td');
+  const href = cellLinkHref(val, type);
+  if (href) {
+    const a = el('a', { href, target: '_blank', rel: 'noopener noreferrer nofollow' });
+    appendHighlighted(a, val, highlight);
+    td.appendChild(a);
+  } else {
+    appendHighlighted(td, formatCell(val, type, format), highlight);
+    if (isNumericType(type)) td.className = 'cell-num';
+    else if (type === 'boolean' && parseBooleanCell(val) !== null) {
+      td.className = 'cell-bool';
+      td.title = val;
+    }
+  }
+  if (problem) {
+    td.classList.add('cell-invalid');
+    td.setAttribute('aria-invalid', 'true');
+    td.title = td.title ? `${td.title} — ${problem}` : problem;
+  }
+  return td;
+}
+
+// Text with the ranges highlight(text) returns wrapped in <mark>.
+// Built from text nodes only — cell text is never parsed as HTML.
+function appendHighlighted(parent, text, highlight) {
+  const ranges = highlight ? highlight(text) : [];
+  let at = 0;
+  for (const [start, end] of ranges) {
+    if (start > at) parent.appendChild(document.createTextNode(text.slice(at, start)));
+    parent.appendChild(el('mark', { class: 'search-hit' }, text.slice(start, end)));
+    at = end;
+  }
+  if (at < text.length) parent.appendChild(document.createTextNode(text.slice(at)));
+}
+
+/* ============================================================
+   Render: pagination
+   ============================================================ */
+function renderPagination() {
+  const container = $('pagination');
+  container.innerHTML = '';
+  const total = totalPages();
+  if (total <= 1) return; // container stays empty → CSS :empty hides it
+
+  const cur = state.page;
+  const frag = document.createDocumentFragment();
+
+  function makeBtn(label, targetPage, disabled, active, ariaLabel) {
+    const btn = el('button', {
+      class: 'page-btn' + (active ? ' active' : ''),
+      'aria-label': ariaLabel || `Page ${targetPage}`,
+    }, String(label));
+    if (active)    btn.setAttribute('aria-current', 'page');
+    if (disabled)  btn.disabled = true;
+    if (!disabled && !active) {
+      btn.onclick = () => {
+        state.page = targetPage;
+        renderBody();
+        renderPagination();
+        renderRowInfo();
+      };
+    }
+    return btn;
+  }
+
+  frag.appendChild(makeBtn('‹', cur - 1, cur === 1, false, 'Previous page'));
+
+  for (const p of buildPageList(cur, total)) {
+    if (p === '…') {
+      frag.appendChild(el('span', { class: 'page-ellipsis', 'aria-hidden': 'true' }, '…'));
+    } else {
+      frag.appendChild(makeBtn(p, p, false, p === cur));
+    }
+  }
+
+  frag.appendChild(makeBtn('›', cur + 1, cur === total, false, 'Next page'));
+  container.appendChild(frag);
+}
+
+/* ============================================================
+   Render: row info
+   ============================================================ */
+function renderRowInfo() {
+  const { filtered, data, pageSize, page } = state;
+  const matchCount = filtered.length;
+  const allCount   = data.length;
+
+  let rangeText;
+  if (pageSize === 0 || matchCount === 0) {
+    rangeText = String(matchCount);
+  } else {
+    const start = (page - 1) * pageSize + 1;
+    const end   = Math.min(page * pageSize, matchCount);
+    rangeText = `${start}–${end}`;
+  }
+
+  // When a filter is active, show "X–Y of Z matching (N total)"
+  // so users know how many rows are hidden.
+  let text = `${rangeText} of ${matchCount}`;
+  if (matchCount !== allCount) text += ` (${allCount} total)`;
+  text += ' rows';
+  // Filter time, to check searches on large files stay quick
+  if (state.filterTime && matchCount !== allCount) {
+    const { ms, narrowed } = state.filterTime;
+    text += ` · filtered in ${ms < 10 ? ms.toFixed(1) : Math.round(ms)} ms${narrowed ? ' (narrowed)' : ''}`;
+  }
+  if (hasRules()) {
+    const { rows, cellCount } = currentValidation();
+    text += ` · ${rows.size} invalid (${cellCount} cell${cellCount === 1 ? '' : 's'})`;
+  }
+
+  $('rowInfo').textContent = text;
+  // The profile summarises the same rows, so it is refreshed alongside
+  renderProfile();
+}
+
+/* ============================================================
+   Render all
+   ============================================================ */
+function renderAll() {
+  renderHeader();
+  renderFilterRow();
+  renderBody();
+  renderPagination();
+  renderRowInfo();
+  renderSchema();
+  renderRulesPanel();
+  renderBuilder();
+  $('optOnlyInvalid').checked = state.onlyInvalid;
+}
+
+/* ============================================================
+   File type validation helper
+   ============================================================ */
+function isCSVFile(file) {
+  // Accept by extension or MIME type
+  return /\.(csv|tsv|txt)$/i.test(file.name) ||
+         /^text\//i.test(file.type) ||
+         file.type === 'application/vnd.ms-excel'; // Some systems use this for .csv
+}
+
+function isJSONFile(file) {
+  return /\.(json|ndjson|jsonl)$/i.test(file.name) ||
+         /^application\/(json|x-ndjson|jsonl)$/i.test(file.type);
+}
+
+/* ============================================================
+   Upload error display
+   ============================================================ */
+function showUploadError(msg) {
+  const err = $('uploadError');
+  if (!err) return;
+  err.textContent = msg;
+  err.hidden = false;
+  clearTimeout(showUploadError._timer);
+  showUploadError._timer = setTimeout(() => { err.hidden = true; }, 5000);
+}
+
+/* ============================================================
+   Import settings bar — shows the detected encoding and dialect
+   and lets the user override them. Any change re-decodes the
+   File kept in state.file, so nothing has to be picked again.
+   ============================================================ */
+const ENCODING_NAMES = {
+  'utf-8': 'UTF-8', 'utf-16le': 'UTF-16 LE', 'utf-16be': 'UTF-16 BE',
+  'windows-1252': 'Windows-1252', 'iso-8859-1': 'ISO-8859-1',
+};
+const DELIM_NAMES  = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' };
+const QUOTE_NAMES  = { '"': 'double quotes', "'": 'single quotes' };
+const ESCAPE_NAMES = { double: 'doubled ("")', backslash: 'backslash (\\")' };
+const DECIMAL_NAMES = { '.': '1,234.56', ',': '1.234,56' };
+const LOW_CONFIDENCE = 0.6; // below this the bar opens by itself
+
+function renderImportBar() {
+  const d = state.dialect;
+  const opts = state.importOptions;
+
+  const selects = [
+    ['optDelim',  'delim',  DELIM_NAMES],
+    ['optQuote',  'quote',  QUOTE_NAMES],
+    ['optEscape', 'escape', ESCAPE_NAMES],
+  ];
+  for (const [id, key, names] of selects) {
+    const select = $(id);
+    select.value = opts[key];
+    select.options[0].textContent = d ? `Auto (${names[d[key]]})` : 'Auto';
+  }
+  // Dialect and header settings only apply to delimited text;
+  // pasted text is decoded already
+  for (const id of ['optDelim', 'optQuote', 'optEscape', 'optSkipLines', 'optHeader']) {
+    $(id).disabled = state.format === 'json';
+  }
+  $('optEncoding').disabled = !state.file;
+  $('optSourceCol').disabled = !state.parts;
+  $('optSourceCol').checked = state.sourceColumn;
+  $('optEncoding').value = opts.encoding;
+  $('optEncoding').options[0].textContent =
+    state.encoding ? `Auto (${ENCODING_NAMES[state.encoding]})` : 'Auto';
+  $('optSkipLines').value = String(opts.skipLines);
+  $('optHeader').value = opts.header;
+  $('optHeader').options[0].textContent = `Auto (${state.headerGuess ? 'first row' : 'none'})`;
+  $('optDecimal').value = opts.decimal;
+  $('optDecimal').options[0].textContent = `Auto (${DECIMAL_NAMES[state.detectedDecimal]})`;
+
+  const info = $('dialectInfo');
+  if (!d) {
+    info.textContent = '';
+    return;
+  }
+  const pct = Math.round(d.confidence * 100);
+  info.textContent = d.confidence === 0
+    ? 'No delimiter detected — the file is read as a single column'
+    : `Detected ${DELIM_NAMES[d.delim]}-separated · ${pct}% confidence`;
+  info.classList.toggle('low-confidence', d.confidence < LOW_CONFIDENCE);
+}
+
+function toggleImportBar(show) {
+  const bar = $('importBar');
+  const visible = show == null ? bar.classList.contains('hidden') : show;
+  bar.classList.toggle('hidden', !visible);
+  $('btnImport').setAttribute('aria-expanded', String(visible));
+}
+
+/* ============================================================
+   Load file
+   Parsing runs in csv-worker.js so large files don't block the
+   page. Rows stream back in batches: the table opens as soon as
+   the first batch arrives and grows while the rest loads.
+   ============================================================ */
+let activeLoad = null;  // { stop() } while a file is downloading or being parsed
+let appendQueue = [];   // files still to be appended once the current load ends
+
+// `more` are files to append once this one has loaded
+function loadFile(file, options, more) {
+  if (!file) return;
+
+  const format = fileFormat(file);
+  if (!format) {
+    showUploadError('Please select a CSV, JSON or plain-text file (.csv, .tsv, .txt, .json, .ndjson).');
+    return;
+  }
+
+  // A new file (or a re-parse) replaces one that is still loading
+  if (activeLoad) finishLoad();
+  // A fresh import gets its own tab; a re-parse stays in the current one
+  if (!options) state = createState();
+
+  // Start from empty data — the first batch of rows reopens the table.
+  // Without options this is a fresh import, so settings go back to auto.
+  state.file          = file;
+  state.pastedText    = null;
+  state.appended      = [];
+  state.parts         = null;
+  state.format        = format;
+  state.importOptions = options || defaultImportOptions();
+  state.dialect       = null;
+  state.encoding      = '';
+  state.headers       = [];
+  state.data          = [];
+  state.warnings      = [];
+  state.warningCount  = 0;
+  state.issuesDismissed = false;
+  appendQueue = more ? Array.from(more) : [];
+
+  let worker;
+  try {
+    worker = new Worker('csv-worker.js');
+  } catch (err) {
+    // Workers are unavailable (e.g. page opened via file://)
+    readFileOnMainThread(file);
+    return;
+  }
+
+  activeLoad = { stop: () => worker.terminate() };
+  showLoadProgress(0, file.size, 0);
+
+  worker.onmessage = e => {
+    const msg = e.data;
+    if (msg.type === 'error') {
+      finishLoad();
+      resetToUpload();
+      showUploadError(loadErrorMessage(msg.reason, msg.message));
+      return;
+    }
+
+    state.dialect  = msg.dialect;
+    state.encoding = msg.encoding;
+    appendLoadedRows(file.name, msg.rows);
+    if (msg.warnings.length > 0) {
+      for (const w of msg.warnings) state.warnings.push(w);
+      state.warningCount = msg.warningCount;
+      renderIssues();
+    }
+    showLoadProgress(msg.bytesRead, msg.totalBytes, msg.rowCount);
+
+    if (msg.type === 'done') {
+      finishLoad();
+      if (state.headers.length === 0) {
+        resetToUpload();
+        showUploadError('The file appears to be empty or has no recognisable columns.');
+        return;
+      }
+      // Rows that arrived after a filter or sort was applied are not
+      // in the view yet — rebuild it from the complete data.
+      if (state.filtered !== state.data) {
+        applyFiltersAndSort();
+        renderBody();
+      }
+      renderPagination();
+      renderRowInfo();
+      continueQueue();
+    }
+  };
+
+  worker.onerror = e => {
+    e.preventDefault();
+    const gotRows = state.headers.length > 0;
+    finishLoad();
+    if (gotRows) {
+      resetToUpload();
+      showUploadError('Could not read the file. Please try again.');
+    } else {
+      // The worker script itself failed to load — parse here instead
+      readFileOnMainThread(file);
+    }
+  };
+
+  worker.postMessage({
+    file,
+    options: { ...state.importOptions, format, strict: $('optStrict').checked },
+  });
+}
+
+function loadFiles(files) {
+  files = Array.from(files);
+  if (files.length > 0) loadFile(files[0], null, files.slice(1));
+}
+
+// JSON is checked first: some systems report .json as text/plain
+function fileFormat(file) {
+  return isJSONFile(file) ? 'json' : isCSVFile(file) ? 'csv' : null;
+}
+
+/* ============================================================
+   Streamed rows — the first batch opens the table
+   ============================================================ */
+function appendLoadedRows(fileName, rows) {
+  if (rows.length === 0) return;
+
+  if (state.headers.length === 0) {
+    const { headers, data } = buildWithHeaderOption(rows);
+    openTable(fileName, headers, data);
+    return;
+  }
+
+  for (const row of rows) state.data.push(row);
+  // While no filter or sort is active the view *is* the data array, so it
+  // grows for free; otherwise the view is rebuilt once loading is done.
+  renderPagination();
+  renderRowInfo();
+}
+
+// Applies the header setting; 'auto' asks guessHasHeader about the first rows.
+// JSON rows always start with the key names. The number locale is settled
+// first, since the header guess compares column types.
+function buildWithHeaderOption(rows) {
+  const { header, delim } = state.importOptions;
+  state.detectedDecimal = state.format === 'json'
+    ? '.'
+    : detectDecimalMark(rows, delim || (state.dialect && state.dialect.delim));
+  state.decimal = state.importOptions.decimal || state.detectedDecimal;
+  state.headerGuess = state.format === 'json' || guessHasHeader(rows, { decimal: state.decimal });
+  state.hasHeader   = header === 'auto' ? state.headerGuess : header === 'yes';
+  return buildData(rows, { hasHeader: state.hasHeader });
+}
+
+function loadErrorMessage(reason, detail) {
+  if (reason === 'strict') return `File refused in strict mode — ${detail}.`;
+  if (reason === 'json')   return `Could not parse JSON — ${detail}.`;
+  return 'Could not read the file. Please try again.';
+}
+
+/* ============================================================
+   Load progress — upload zone before the table opens,
+   header status afterwards
+   ============================================================ */
+function showLoadProgress(bytesRead, totalBytes, rowCount) {
+  lockTabs(true);
+  const text = `${formatBytes(bytesRead)} of ${formatBytes(totalBytes)} · ` +
+               `${rowCount.toLocaleString()} rows`;
+  const fraction = totalBytes ? bytesRead / totalBytes : 0;
+
+  $('uploadZone').classList.add('is-loading');
+  $('loadProgress').hidden = false;
+  $('loadProgressBar').value = fraction;
+  $('loadProgressText').textContent = `Parsing… ${text}`;
+
+  $('loadStatus').hidden = false;
+  $('loadStatusText').textContent = `Loading ${Math.floor(fraction * 100)}% · ${text}`;
+}
+
+function hideLoadProgress() {
+  lockTabs(false);
+  $('uploadZone').classList.remove('is-loading');
+  $('loadProgress').hidden = true;
+  $('loadStatus').hidden = true;
+}
+
+/* ============================================================
+   Stop / cancel a running load
+   ============================================================ */
+function finishLoad() {
+  if (activeLoad) activeLoad.stop();
+  activeLoad = null;
+  hideLoadProgress();
+  // The schema reads every row, so it was left alone while they arrived
+  renderSchema();
+  // Indexed now so the first search doesn't pay for it
+  if (state.headers.length > 0) currentSearchIndex();
+}
+
+function cancelLoad() {
+  if (!activeLoad) return;
+  const { appending } = activeLoad;
+  finishLoad();
+  appendQueue = [];
+  // Files appended so far stay; only a first load empties the tab
+  if (appending) return;
+  resetToUpload();
+  showUploadError('Loading cancelled.');
+}
+
+/* ============================================================
+   Load from URL — ?src=<url> or the "Load from URL" field.
+   The download is streamed for progress, then handed to
+   loadFile as a File so it parses like a local one.
+   ============================================================ */
+async function loadFromURL(url) {
+  url = url.trim();
+  if (!url) return;
+
+  let resolved;
+  try {
+    resolved = new URL(url, location.href);
+  } catch (err) {
+    showUploadError(`"${url}" is not a valid URL.`);
+    return;
+  }
+
+  if (activeLoad) finishLoad();
+  const controller = new AbortController();
+  const load = { stop: () => controller.abort() };
+  activeLoad = load;
+  showDownloadProgress(0, 0);
+
+  let file;
+  try {
+    const res = await fetch(resolved.href, { signal: controller.signal });
+    if (!res.ok) throw new Error(`the server responded ${res.status} ${res.statusText}`.trim());
+
+    const total = Number(res.headers.get('Content-Length')) || 0;
+    const parts = await readResponseBody(res, total);
+    const name  = fileNameFromURL(resolved);
+    let type    = (res.headers.get('Content-Type') || '').split(';')[0].trim();
+    // e.g. /export?id=3 served as application/octet-stream — read it as CSV
+    if (!isJSONFile({ name, type }) && !isCSVFile({ name, type })) type = 'text/csv';
+    file = new File(parts, name, { type });
+  } catch (err) {
+    if (activeLoad !== load) return; // cancelled, or another load took over
+    finishLoad();
+    // fetch rejects with a TypeError when the request never got a response
+    showUploadError(err.name === 'TypeError'
+      ? `Could not load ${resolved.href} — network error, or the server does not allow cross-origin requests.`
+      : `Could not load ${resolved.href} — ${err.message}.`);
+    return;
+  }
+
+  if (activeLoad !== load) return;
+  finishLoad();
+  loadFile(file);
+}
+
+async function readResponseBody(res, total) {
+  if (!res.body) return [await res.blob()];
+  const reader = res.body.getReader();
+  const parts = [];
+  let received = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    parts.push(value);
+    received += value.length;
+    showDownloadProgress(received, total);
+  }
+  return parts;
+}
+
+function showDownloadProgress(received, total) {
+  // Content-Length is missing for chunked responses and is the compressed
+  // size for gzipped ones — show an indeterminate bar when it can't be used
+  const known = total > 0 && received <= total;
+  const bar = $('loadProgressBar');
+  if (known) bar.value = received / total;
+  else bar.removeAttribute('value');
+
+  $('uploadZone').classList.add('is-loading');
+  $('loadProgress').hidden = false;
+  $('loadProgressText').textContent = known
+    ? `Downloading… ${formatBytes(received)} of ${formatBytes(total)}`
+    : `Downloading… ${formatBytes(received)}`;
+}
+
+// Last path segment, e.g. https://host/exports/q3%20sales.csv → "q3 sales.csv"
+function fileNameFromURL(url) {
+  const segment = url.pathname.split('/').filter(Boolean).pop();
+  if (!segment) return url.hostname || 'download';
+  try {
+    return decodeURIComponent(segment);
+  } catch (err) {
+    return segment;
+  }
+}
+
+/* ============================================================
+   Fallback: read + parse on the main thread
+   ============================================================ */
+function readFileOnMainThread(file) {
+  const uploadZone = $('uploadZone');
+  const titleEl    = uploadZone.querySelector('.upload-title');
+  const origTitle  = titleEl.textContent;
+
+  // Show loading state
+  uploadZone.classList.add('is-loading');
+  titleEl.textContent = 'Reading file…';
+
+  const reader = new FileReader();
+
+  reader.onerror = () => {
+    uploadZone.classList.remove('is-loading');
+    titleEl.textContent = origTitle;
+    showUploadError('Could not read the file. Please try again.');
+  };
+
+  reader.onload = e => {
+    uploadZone.classList.remove('is-loading');
+    titleEl.textContent = origTitle;
+
+    const bytes = new Uint8Array(e.target.result);
+    state.encoding = detectEncoding(bytes);
+    const text = new TextDecoder(state.importOptions.encoding || state.encoding).decode(bytes);
+
+    let parsed;
+    try {
+      parsed = parseText(text, state.format, state.importOptions);
+    } catch (err) {
+      resetToUpload();
+      showUploadError(loadErrorMessage('json', err.message));
+      return;
+    }
+    openParsed(file.name, parsed);
+    continueQueue();
+  };
+
+  reader.readAsArrayBuffer(file);
+}
+
+// Strict check, header setting, then the table — for text parsed here
+// rather than in the worker
+function openParsed(name, { rows, dialect, warnings, warningCount }) {
+  if (warningCount > 0 && $('optStrict').checked) {
+    const w = warnings[0];
+    resetToUpload();
+    showUploadError(loadErrorMessage('strict', `Line ${w.line}, column ${w.col}: ${w.message}`));
+    return;
+  }
+
+  state.dialect      = dialect;
+  const { headers, data } = buildWithHeaderOption(rows);
+  state.warnings     = warnings;
+  state.warningCount = warningCount;
+
+  if (headers.length === 0) {
+    showUploadError('The file appears to be empty or has no recognisable columns.');
+    return;
+  }
+  openTable(name, headers, data);
+  currentSearchIndex();
+}
+
+// Main-thread counterpart of the worker's parsing, same result shape
+// for both formats
+function parseText(text, format, options) {
+  if (format === 'json') {
+    const { records, warnings, warningCount } = parseJSONRecords(text);
+    const { headers, data } = buildDataFromRecords(records);
+    const rows = headers.length > 0 ? [headers].concat(data) : [];
+    return { rows, dialect: null, warnings, warningCount };
+  }
+  return parseCSV(text, options);
 }
 
 /* ============================================================
-   Render: pagination
+   Append files — each is parsed whole, then unioned with the
+   open table by header name (unionTables). Appended files use
+   auto-detected settings and the table's header setting.
    ============================================================ */
-function renderPagination() {
-  const container = $('pagination');
-  container.innerHTML = '';
-  const total = totalPages();
-  if (total <= 1) return; // container stays empty → CSS :empty hides it
+function appendFiles(files) {
+  for (const file of files) appendQueue.push(file);
+  if (!activeLoad) continueQueue();
+}
 
-  const cur = state.page;
-  const frag = document.createDocumentFragment();
+function continueQueue() {
+  // The load that queued these files failed
+  if (!datasets.includes(state)) appendQueue = [];
+  if (appendQueue.length > 0) appendFile(appendQueue.shift());
+}
 
-  function makeBtn(label, targetPage, disabled, active, ariaLabel) {
-    const btn = el('button', {
-      class: 'page-btn' + (active ? ' active' : ''),
-      'aria-label': ariaLabel || `Page ${targetPage}`,
-    }, String(label));
-    if (active)    btn.setAttribute('aria-current', 'page');
-    if (disabled)  btn.disabled = true;
-    if (!disabled && !active) {
-      btn.onclick = () => {
-        state.page = targetPage;
-        renderBody();
-        renderPagination();
-        renderRowInfo();
-      };
-    }
-    return btn;
+function appendFile(file) {
+  const format = fileFormat(file);
+  if (!format) {
+    showLoadNotice(`${file.name} was skipped — not a CSV, JSON or plain-text file.`);
+    continueQueue();
+    return;
   }
 
-  frag.appendChild(makeBtn('‹', cur - 1, cur === 1, false, 'Previous page'));
+  readAllRows(file, format, (rows, warnings, warningCount) => {
+    if (warningCount > 0 && $('optStrict').checked) {
+      const w = warnings[0];
+      showLoadNotice(`${file.name}: ${loadErrorMessage('strict', `Line ${w.line}, column ${w.col}: ${w.message}`)}`);
+      appendQueue = [];
+      return;
+    }
+    // Their line numbers point into another file, so these issues
+    // are listed without a link to a row
+    for (const w of warnings) state.warnings.push({ ...w, row: null, message: `${file.name}: ${w.message}` });
+    state.warningCount += warningCount;
 
-  for (const p of buildPageList(cur, total)) {
-    if (p === '…') {
-      frag.appendChild(el('span', { class: 'page-ellipsis', 'aria-hidden': 'true' }, '…'));
-    } else {
-      frag.appendChild(makeBtn(p, p, false, p === cur));
+    const { headers, data } = buildData(rows, { hasHeader: format === 'json' || state.hasHeader });
+    if (headers.length > 0) {
+      if (!state.parts) {
+        state.parts = [{ name: state.fileName, headers: state.headers, data: state.data }];
+      }
+      state.parts.push({ name: file.name, headers, data });
+      state.appended.push(file);
+      combineParts();
     }
+    continueQueue();
+  }, message => {
+    showLoadNotice(`${file.name}: ${message}`);
+    appendQueue = [];
+  });
+}
+
+// Parses a whole file and hands back all of its rows at once
+function readAllRows(file, format, onDone, onError) {
+  const options = { ...defaultImportOptions(), format, strict: $('optStrict').checked };
+
+  let worker;
+  try {
+    worker = new Worker('csv-worker.js');
+  } catch (err) {
+    readAllRowsOnMainThread(file, format, onDone, onError);
+    return;
   }
 
-  frag.appendChild(makeBtn('›', cur + 1, cur === total, false, 'Next page'));
-  container.appendChild(frag);
+  activeLoad = { stop: () => worker.terminate(), appending: true };
+  showLoadProgress(0, file.size, 0);
+  const rows = [];
+  const warnings = [];
+
+  worker.onmessage = e => {
+    const msg = e.data;
+    if (msg.type === 'error') {
+      finishLoad();
+      onError(loadErrorMessage(msg.reason, msg.message));
+      return;
+    }
+    for (const row of msg.rows) rows.push(row);
+    for (const w of msg.warnings) warnings.push(w);
+    showLoadProgress(msg.bytesRead, msg.totalBytes, msg.rowCount);
+    if (msg.type === 'done') {
+      finishLoad();
+      onDone(rows, warnings, msg.warningCount);
+    }
+  };
+
+  worker.onerror = e => {
+    e.preventDefault();
+    finishLoad();
+    readAllRowsOnMainThread(file, format, onDone, onError);
+  };
+
+  worker.postMessage({ file, options });
+}
+
+function readAllRowsOnMainThread(file, format, onDone, onError) {
+  const reader = new FileReader();
+  reader.onerror = () => onError(loadErrorMessage('read'));
+  reader.onload = e => {
+    const bytes = new Uint8Array(e.target.result);
+    const text = new TextDecoder(detectEncoding(bytes)).decode(bytes);
+    let parsed;
+    try {
+      parsed = parseText(text, format, defaultImportOptions());
+    } catch (err) {
+      onError(loadErrorMessage('json', err.message));
+      return;
+    }
+    onDone(parsed.rows, parsed.warnings, parsed.warningCount);
+  };
+  reader.readAsArrayBuffer(file);
+}
+
+// Rebuilds the table from its parts. Filters and the sort follow their
+// column by name, since appending can add columns in between.
+function combineParts() {
+  const oldHeaders = state.headers;
+  const oldFilters = state.colFilters;
+  const oldModes   = state.filterModes;
+  const oldFacets  = state.facets;
+  const sortNames  = state.sortKeys.map(k => ({ name: oldHeaders[k.col], dir: k.dir }));
+
+  const { headers, data } = unionTables(state.parts, { sourceColumn: state.sourceColumn });
+  state.headers    = headers;
+  state.data       = data;
+  state.detectedTypes = detectColTypes(headers, data, { decimal: state.decimal });
+  resolveColTypes();
+  state.colFilters = headers.map(h => {
+    const i = oldHeaders.indexOf(h);
+    return i === -1 ? '' : oldFilters[i] || '';
+  });
+  state.filterModes = headers.map(h => {
+    const i = oldHeaders.indexOf(h);
+    return i === -1 ? defaultSearchMode() : oldModes[i] || defaultSearchMode();
+  });
+  state.facets = headers.map(h => {
+    const i = oldHeaders.indexOf(h);
+    return i === -1 ? null : oldFacets[i] || null;
+  });
+  state.sortKeys = sortNames
+    .map(({ name, dir }) => ({ col: headers.indexOf(name), dir }))
+    .filter(k => k.col !== -1);
+
+  applyFiltersAndSort();
+  renderTabs();
+  renderImportBar();
+  renderIssues();
+  renderAll();
+}
+
+// Short-lived message in the header, for problems with appended files
+// (the upload zone, where load errors normally go, is not on screen)
+function showLoadNotice(msg) {
+  $('loadNotice').textContent = msg;
+  $('loadNotice').hidden = false;
+  clearTimeout(showLoadNotice._timer);
+  showLoadNotice._timer = setTimeout(() => { $('loadNotice').hidden = true; }, 8000);
 }
 
 /* ============================================================
-   Render: row info
+   Paste from the clipboard — spreadsheet ranges arrive as TSV
+   text, web page tables as HTML. Both end up as text for
+   parseCSV so the import settings work as they do for files.
    ============================================================ */
-function renderRowInfo() {
-  const { filtered, data, pageSize, page } = state;
-  const matchCount = filtered.length;
-  const allCount   = data.length;
+const PASTED_NAME = 'Pasted data';
 
-  let rangeText;
-  if (pageSize === 0 || matchCount === 0) {
-    rangeText = String(matchCount);
-  } else {
-    const start = (page - 1) * pageSize + 1;
-    const end   = Math.min(page * pageSize, matchCount);
-    rangeText = `${start}–${end}`;
+function pasteData(clipboard) {
+  const html  = clipboard.getData('text/html');
+  const table = html ? new DOMParser().parseFromString(html, 'text/html').querySelector('table') : null;
+  const text  = table ? rowsToTSV(tableToRows(table)) : clipboard.getData('text/plain');
+
+  if (!text || text.trim() === '') {
+    showUploadError('The clipboard has no text or table to paste.');
+    return;
   }
+  loadPastedText(text, null, null, Boolean(table));
+}
 
-  // When a filter is active, show "X–Y of Z matching (N total)"
-  // so users know how many rows are hidden.
-  let text = `${rangeText} of ${matchCount}`;
-  if (matchCount !== allCount) text += ` (${allCount} total)`;
-  text += ' rows';
+function loadPastedText(text, options, more, fromTable) {
+  if (activeLoad) finishLoad();
+  if (!options) state = createState();
 
-  $('rowInfo').textContent = text;
+  state.file          = null;
+  state.pastedText    = text;
+  state.pastedTable   = Boolean(fromTable);
+  state.appended      = [];
+  state.parts         = null;
+  state.format        = 'csv';
+  state.importOptions = options || defaultImportOptions();
+  state.encoding      = '';
+  state.issuesDismissed = false;
+
+  appendQueue = more ? Array.from(more) : [];
+
+  openParsed(PASTED_NAME, parseCSV(text, pastedTextOptions(text, state.importOptions, fromTable)));
+  continueQueue();
 }
 
-/* ============================================================
-   Render all
-   ============================================================ */
-function renderAll() {
-  renderHeader();
-  renderFilterRow();
-  renderBody();
-  renderPagination();
-  renderRowInfo();
+// Cell text of an HTML table; colspan repeats blanks so columns line up
+function tableToRows(table) {
+  const rows = [];
+  for (const tr of table.rows) {
+    const row = [];
+    for (const cell of tr.cells) {
+      row.push(cell.textContent.replace(/\s+/g, ' ').trim());
+      for (let i = 1; i < cell.colSpan; i++) row.push('');
+    }
+    rows.push(row);
+  }
+  return rows;
 }
 
-/* ============================================================
-   File type validation helper
-   ============================================================ */
-function isCSVFile(file) {
-  // Accept by extension or MIME type
-  return /\.(csv|tsv|txt)$/i.test(file.name) ||
-         /^text\//i.test(file.type) ||
-         file.type === 'application/vnd.ms-excel'; // Some systems use this for .csv
+// Import settings changed — parse the same source again, then re-append
+// any files that were added to it
+function reparse(options) {
+  const more = state.appended;
+  if (state.file) loadFile(state.file, options, more);
+  else if (state.pastedText != null) loadPastedText(state.pastedText, options, more, state.pastedTable);
 }
 
 /* ============================================================
-   Upload error display
+   Open parsed data in the table view
    ============================================================ */
-function showUploadError(msg) {
-  const err = $('uploadError');
-  if (!err) return;
-  err.textContent = msg;
-  err.hidden = false;
-  clearTimeout(showUploadError._timer);
-  showUploadError._timer = setTimeout(() => { err.hidden = true; }, 5000);
+function openTable(fileName, headers, data) {
+  // Reset state. A re-parse with other import settings comes here too,
+  // and every filter goes, "only invalid rows" included: the view below
+  // is the whole data. Rules stay, being kept by header name.
+  state.fileName   = fileName;
+  state.headers    = headers;
+  state.data       = data;
+  state.detectedTypes = detectColTypes(headers, data, { decimal: state.decimal });
+  state.typeOverrides = {};
+  state.dateFormatOverrides = {};
+  state.displayFormats = {};
+  resolveColTypes();
+  state.colFilters = new Array(headers.length).fill('');
+  state.filterModes = headers.map(defaultSearchMode);
+  state.facets = new Array(headers.length).fill(null);
+  state.filterTree = { op: 'and', items: [] };
+  state.onlyInvalid = false;
+  state.globalSearch = '';
+  state.sortKeys   = [];
+  state.page       = 1;
+
+  // No filter or sort yet — share the data array as the view so rows
+  // streamed in later show up without re-filtering.
+  state.filtered = state.data;
+
+  if (!datasets.includes(state)) datasets.push(state);
+  showTableView();
+  if (state.dialect && state.dialect.confidence < LOW_CONFIDENCE) toggleImportBar(true);
+}
+
+// Shows the active dataset, restoring the controls that live outside the table
+function showTableView() {
+  $('uploadZone').classList.add('hidden');
+  $('appHeader').classList.remove('hidden');
+  $('tableArea').classList.remove('hidden');
+  $('globalSearch').value = state.globalSearch;
+  $('clearSearch').classList.toggle('visible', state.globalSearch.length > 0);
+  syncModeButtons($('searchModes'), state.searchMode);
+  flagSearch();
+  $('pageSize').value = String(state.pageSize);
+
+  renderTabs();
+  renderImportBar();
+  renderIssues();
+  renderAll();
 }
 
 /* ============================================================
-   Load file
+   Dataset tabs — each open file keeps its own state object;
+   switching swaps which one `state` points at
    ============================================================ */
-function loadFile(file) {
-  if (!file) return;
+function renderTabs() {
+  const bar = $('tabBar');
+  bar.innerHTML = '';
+  const inTable = datasets.includes(state);
 
-  if (!isCSVFile(file)) {
-    showUploadError('Please select a CSV or plain-text file (.csv, .tsv, .txt).');
-    return;
-  }
+  datasets.forEach((ds, i) => {
+    const selected = ds === state;
+    const label = ds.parts ? `${ds.fileName} +${ds.parts.length - 1}` : ds.fileName;
+    const title = ds.parts ? ds.parts.map(p => p.name).join('\n') : ds.fileName;
+    // Roving tabindex: only the selected tab (or the first) is in the Tab order
+    const focusable = selected || (!inTable && i === 0);
+    const tab = el('button', {
+      class: 'tab' + (selected ? ' active' : ''),
+      role: 'tab',
+      'aria-selected': String(selected),
+      'aria-controls': 'tableArea',
+      tabindex: focusable ? '0' : '-1',
+      title,
+      onclick: () => switchDataset(ds),
+    }, label);
+    const close = el('button', {
+      class: 'tab-close',
+      title: 'Close',
+      'aria-label': `Close ${ds.fileName}`,
+      onclick: () => closeDataset(ds),
+    }, '✕');
+    bar.appendChild(el('span', { class: 'tab-item', role: 'presentation' }, tab, close));
+  });
 
-  state.fileName = file.name;
-  const uploadZone = $('uploadZone');
-  const titleEl    = uploadZone.querySelector('.upload-title');
-  const origTitle  = titleEl.textContent;
+  // Import settings, appending and export act on the active table
+  $('btnImport').disabled = !inTable;
+  $('btnAppend').disabled = !inTable;
+  $('btnExport').disabled = !inTable;
+  $('optExportFormatted').disabled = !inTable;
+  $('btnSchema').disabled = !inTable;
+  $('btnRules').disabled = !inTable;
+  $('btnBuilder').disabled = !inTable;
+  if (activeLoad) lockTabs(true);
+}
 
-  // Show loading state
-  uploadZone.classList.add('is-loading');
-  titleEl.textContent = 'Reading file…';
+// Switching or closing tabs mid-load would hand streamed rows to the wrong
+// dataset, so the tab bar and "New file" wait until the load ends
+function lockTabs(locked) {
+  for (const btn of $('tabBar').querySelectorAll('button')) btn.disabled = locked;
+  $('btnNew').disabled = locked;
+}
 
-  const reader = new FileReader();
+function switchDataset(ds) {
+  if (activeLoad || ds === state) return;
+  state = ds;
+  showTableView();
+}
 
-  reader.onerror = () => {
-    uploadZone.classList.remove('is-loading');
-    titleEl.textContent = origTitle;
-    showUploadError('Could not read the file. Please try again.');
-  };
+function closeDataset(ds) {
+  if (activeLoad) return;
+  const i = datasets.indexOf(ds);
+  if (i === -1) return;
+  datasets.splice(i, 1);
 
-  reader.onload = e => {
-    uploadZone.classList.remove('is-loading');
-    titleEl.textContent = origTitle;
+  if (datasets.length === 0) {
+    showUploadZone();
+  } else if (ds === state) {
+    // The neighbour to the right takes its place, or the left one at the end
+    state = datasets[Math.min(i, datasets.length - 1)];
+    showTableView();
+  } else {
+    renderTabs();
+  }
+}
+
+/* ============================================================
+   Parse issues panel — "N issues found", each entry jumps to
+   the affected row
+   ============================================================ */
+function renderIssues() {
+  const panel = $('issuesPanel');
+  const { warnings, warningCount } = state;
+  if (warningCount === 0 || state.issuesDismissed) {
+    panel.classList.add('hidden');
+    return;
+  }
 
-    const text = e.target.result;
-    const { rows } = parseCSV(text);
-    const { headers, data } = buildData(rows);
+  panel.classList.remove('hidden');
+  $('issuesToggle').textContent =
+    `⚠ ${warningCount.toLocaleString()} issue${warningCount === 1 ? '' : 's'} found while parsing`;
 
-    if (headers.length === 0) {
-      showUploadError('The file appears to be empty or has no recognisable columns.');
-      return;
+  const list = $('issuesList');
+  list.innerHTML = '';
+  const frag = document.createDocumentFragment();
+  for (const w of warnings) {
+    const text = `Line ${w.line}, column ${w.col} — ${w.message}`;
+    const li = el('li');
+    if (w.row == null) {
+      // Not tied to a row, e.g. an NDJSON line that was skipped
+      li.appendChild(el('span', null, text));
+      frag.appendChild(li);
+      continue;
     }
+    const dataIndex = state.hasHeader ? w.row - 1 : w.row;
+    if (dataIndex >= 0) {
+      li.appendChild(el('button', {
+        class: 'issue-link',
+        title: 'Show this row',
+        onclick: () => jumpToRow(dataIndex),
+      }, text));
+    } else {
+      li.appendChild(el('span', null, `${text} (header row)`));
+    }
+    frag.appendChild(li);
+  }
+  if (warningCount > warnings.length) {
+    frag.appendChild(el('li', { class: 'issue-more' },
+      `…and ${(warningCount - warnings.length).toLocaleString()} more`));
+  }
+  list.appendChild(frag);
+}
 
-    // Reset state
-    state.headers    = headers;
-    state.data       = data;
-    state.colTypes   = detectColTypes(headers, data);
-    state.colFilters = new Array(headers.length).fill('');
-    state.globalSearch = '';
-    state.sortCol    = -1;
-    state.sortDir    = 'none';
-    state.page       = 1;
+function toggleIssuesList() {
+  const list = $('issuesList');
+  list.hidden = !list.hidden;
+  $('issuesToggle').setAttribute('aria-expanded', String(!list.hidden));
+}
 
-    applyFiltersAndSort();
+/* ============================================================
+   Jump to a data row — clears filters if they hide it,
+   switches to its page and briefly highlights it
+   ============================================================ */
+function jumpToRow(dataIndex) {
+  const row = state.data[dataIndex];
+  if (!row) return;
 
-    // Switch UI
-    uploadZone.classList.add('hidden');
-    $('appHeader').classList.remove('hidden');
-    $('tableArea').classList.remove('hidden');
-    $('fileName').textContent = file.name;
+  let pos = state.filtered.indexOf(row);
+  if (pos < 0) {
+    state.globalSearch = '';
+    state.colFilters   = state.colFilters.map(() => '');
+    state.facets       = state.facets.map(() => null);
+    state.filterTree   = { op: 'and', items: [] };
+    state.onlyInvalid  = false;
     $('globalSearch').value = '';
     $('clearSearch').classList.remove('visible');
+    $('optOnlyInvalid').checked = false;
+    flagSearch();
+    applyFiltersAndSort();
+    renderFilterRow();
+    renderBuilder();
+    pos = state.filtered.indexOf(row);
+  }
+  // Still hidden — show the unfiltered table rather than an empty page
+  if (pos < 0) {
+    renderBody();
+    renderPagination();
+    renderRowInfo();
+    return;
+  }
 
-    renderAll();
-  };
+  state.page = state.pageSize === 0 ? 1 : Math.floor(pos / state.pageSize) + 1;
+  renderBody();
+  renderPagination();
+  renderRowInfo();
 
-  reader.readAsText(file, 'UTF-8');
+  const tr = $('tableBody').rows[state.pageSize === 0 ? pos : pos % state.pageSize];
+  if (!tr) return;
+  tr.classList.add('row-flash');
+  tr.scrollIntoView({ block: 'center' });
 }
 
 /* ============================================================
-   Export CSV
+   Export CSV — values as in the file, or as shown in the table
    ============================================================ */
 function exportCSV() {
   const { headers, filtered, fileName } = state;
   const BOM = '\uFEFF';
+  const value = $('optExportFormatted').checked
+    ? (row, c, formats) => formatCell(row[c], state.colTypes[c], formats[c])
+    : (row, c) => row[c];
+  const formats = headers.map((_, c) => displayOptions(c));
 
   const lines = [
     headers.map(escapeCSVField).join(','),
-    ...filtered.map(row => headers.map((_, c) => escapeCSVField(row[c])).join(',')),
+    ...filtered.map(row => headers.map((_, c) => escapeCSVField(value(row, c, formats))).join(',')),
   ];
 
-  const blob = new Blob([BOM + lines.join('\r\n')], { type: 'text/csv;charset=utf-8' });
+  downloadFile(BOM + lines.join('\r\n'), 'text/csv;charset=utf-8', `${fileName.replace(/\.[^.]+$/, '')}_filtered.csv`);
+}
+
+function downloadFile(text, type, name) {
+  const blob = new Blob([text], { type });
   const url  = URL.createObjectURL(blob);
   const a    = document.createElement('a');
   a.href     = url;
-  a.download = `${fileName.replace(/\.csv$/i, '')}_filtered.csv`;
+  a.download = name;
   document.body.appendChild(a);
   a.click();
   document.body.removeChild(a);
   setTimeout(() => URL.revokeObjectURL(url), 10000);
 }
 
+/* ============================================================
+   Schema — JSON Schema, SQL or TypeScript for the columns as
+   typed in the headers, over all rows (not just the filtered)
+   ============================================================ */
+const SCHEMA_FILES = {
+  json: { suffix: '.schema.json', type: 'application/schema+json' },
+  sql:  { suffix: '.sql',         type: 'application/sql' },
+  ts:   { suffix: '.ts',          type: 'text/plain' },
+};
+
+function toggleSchemaPanel(show) {
+  const panel = $('schemaPanel');
+  const visible = show == null ? panel.classList.contains('hidden') : show;
+  panel.classList.toggle('hidden', !visible);
+  $('btnSchema').setAttribute('aria-expanded', String(visible));
+  renderSchema();
+}
+
+function schemaText() {
+  const columns = describeColumns(state.headers, state.data, state.colTypes,
+    { decimal: state.decimal, dateFormats: state.dateFormats });
+  const format = $('schemaFormat').value;
+  if (format === 'sql') return schemaToSQL(columns, state.fileName, $('schemaDialect').value);
+  if (format === 'ts') return schemaToTypeScript(columns, state.fileName);
+  return schemaToJSONSchema(columns, state.fileName);
+}
+
+// Every row is read, so this waits for a load to finish, like the profile
+function renderSchema() {
+  if ($('schemaPanel').classList.contains('hidden') || activeLoad) return;
+  $('schemaDialect').disabled = $('schemaFormat').value !== 'sql';
+  $('schemaOutput').value = state.headers.length > 0 ? schemaText() : '';
+  $('schemaCopy').textContent = 'Copy';
+}
+
+function downloadSchema() {
+  const { suffix, type } = SCHEMA_FILES[$('schemaFormat').value];
+  const name = state.fileName.replace(/\.[^.]*$/, '') || 'data';
+  downloadFile($('schemaOutput').value, type, name + suffix);
+}
+
 /* ============================================================
    Reset to upload state
    ============================================================ */
+// After a failed or cancelled load — the dataset being loaded is dropped
 function resetToUpload() {
-  state.headers    = [];
-  state.data       = [];
-  state.filtered   = [];
+  if (activeLoad) finishLoad();
+  appendQueue = [];
+  const i = datasets.indexOf(state);
+  if (i !== -1) datasets.splice(i, 1);
+  showUploadZone();
+}
+
+// "New file" — other tabs stay open and the header keeps them reachable
+function showUploadZone() {
+  state = createState();
   $('tableArea').classList.add('hidden');
-  $('appHeader').classList.add('hidden');
+  $('appHeader').classList.toggle('hidden', datasets.length === 0);
   $('uploadZone').classList.remove('hidden');
   // Reset file input so the same file can be loaded again
   $('fileInput').value = '';
+  renderTabs();
 }
 
 /* ============================================================
@@ -398,6 +2446,8 @@ document.addEventListener('DOMContentLoaded', () => {
   // Skip if the click was on the label (its for= already triggers the picker)
   // or on fileInput itself — otherwise we'd open a second dialog.
   uploadZone.addEventListener('click', e => {
+    if (uploadZone.classList.contains('is-loading')) return;
+    if (e.target.closest('.upload-option')) return;
     if (e.target === fileInput || e.target.closest('label[for="fileInput"]')) return;
     fileInput.click();
   });
@@ -419,30 +2469,80 @@ document.addEventListener('DOMContentLoaded', () => {
   uploadZone.addEventListener('drop', e => {
     e.preventDefault();
     uploadZone.classList.remove('drag-over');
-    const file = e.dataTransfer.files[0];
-    if (file) loadFile(file);
+    loadFiles(e.dataTransfer.files);
+  });
+
+  // Files dropped on an open table are appended to it
+  const tableArea = $('tableArea');
+  tableArea.addEventListener('dragover', e => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    tableArea.classList.add('drag-over');
+  });
+  tableArea.addEventListener('dragleave', e => {
+    if (!tableArea.contains(e.relatedTarget)) tableArea.classList.remove('drag-over');
+  });
+  tableArea.addEventListener('drop', e => {
+    if (e.dataTransfer.files.length === 0) return;
+    e.preventDefault();
+    tableArea.classList.remove('drag-over');
+    appendFiles(e.dataTransfer.files);
   });
 
   fileInput.addEventListener('change', () => {
-    if (fileInput.files[0]) loadFile(fileInput.files[0]);
+    loadFiles(fileInput.files);
     // Reset so the same file can be picked again next time
     fileInput.value = '';
   });
 
+  $('urlForm').addEventListener('submit', e => {
+    e.preventDefault();
+    loadFromURL($('urlInput').value);
+  });
+
+  // Shared links: index.html?src=<url> opens that file straight away
+  const src = new URLSearchParams(location.search).get('src');
+  if (src) {
+    $('urlInput').value = src;
+    loadFromURL(src);
+  }
+
+  // Paste — into the paste box, or Ctrl+V anywhere while nothing is loaded
+  document.addEventListener('paste', e => {
+    if (uploadZone.classList.contains('hidden') || uploadZone.classList.contains('is-loading')) return;
+    // Pasting a link into the URL field is just typing
+    if (e.target === $('urlInput')) return;
+    e.preventDefault();
+    pasteData(e.clipboardData);
+  });
+
   // Global search
-  $('globalSearch').addEventListener('input', e => {
-    state.globalSearch = e.target.value;
-    $('clearSearch').classList.toggle('visible', e.target.value.length > 0);
+  syncModeButtons($('searchModes'), state.searchMode);
+  wireModeButtons($('searchModes'), $('globalSearch'), () => state.searchMode, () => {
+    flagSearch();
     applyFiltersAndSort();
     renderBody();
     renderPagination();
     renderRowInfo();
   });
 
+  $('globalSearch').addEventListener('input', e => {
+    state.globalSearch = e.target.value;
+    $('clearSearch').classList.toggle('visible', e.target.value.length > 0);
+    flagSearch();
+    scheduleFilter('search', () => {
+      applyFiltersAndSort(true);
+      renderBody();
+      renderPagination();
+      renderRowInfo();
+    });
+  });
+
   $('clearSearch').addEventListener('click', () => {
     $('globalSearch').value = '';
     state.globalSearch = '';
     $('clearSearch').classList.remove('visible');
+    flagSearch();
     applyFiltersAndSort();
     renderBody();
     renderPagination();
@@ -459,6 +2559,143 @@ document.addEventListener('DOMContentLoaded', () => {
     renderRowInfo();
   });
 
-  $('btnNew').addEventListener('click', resetToUpload);
+  $('btnNew').addEventListener('click', showUploadZone);
   $('btnExport').addEventListener('click', exportCSV);
+  $('btnCancelLoad').addEventListener('click', cancelLoad);
+  $('btnImport').addEventListener('click', () => toggleImportBar());
+  $('btnSchema').addEventListener('click', () => toggleSchemaPanel());
+  $('btnRules').addEventListener('click', () => toggleRulesPanel());
+  $('btnBuilder').addEventListener('click', () => toggleBuilderPanel());
+  $('presetSelect').addEventListener('change', e => applyPreset(e.target.value));
+  $('presetSave').addEventListener('click', savePreset);
+  $('presetName').addEventListener('keydown', e => {
+    if (e.key === 'Enter') savePreset();
+  });
+  $('presetDelete').addEventListener('click', deletePreset);
+  $('presetExport').addEventListener('click', exportPresets);
+  $('presetImport').addEventListener('click', () => $('presetInput').click());
+  $('presetInput').addEventListener('change', e => {
+    if (e.target.files.length > 0) importPresets(e.target.files[0]);
+    e.target.value = '';
+  });
+  $('builderClear').addEventListener('click', () => {
+    state.filterTree = { op: 'and', items: [] };
+    renderBuilder();
+    applyBuilder();
+  });
+  $('rulesSave').addEventListener('click', saveRules);
+  $('rulesLoad').addEventListener('click', () => $('rulesInput').click());
+  $('rulesInput').addEventListener('change', e => {
+    if (e.target.files.length > 0) loadRules(e.target.files[0]);
+    e.target.value = '';
+  });
+  $('rulesClear').addEventListener('click', () => {
+    state.rules = {};
+    renderRulesPanel();
+    applyRules();
+  });
+  $('optOnlyInvalid').addEventListener('change', e => {
+    state.onlyInvalid = e.target.checked;
+    applyFiltersAndSort();
+    renderBody();
+    renderPagination();
+    renderRowInfo();
+  });
+  $('schemaFormat').addEventListener('change', renderSchema);
+  $('schemaDialect').addEventListener('change', renderSchema);
+  $('schemaDownload').addEventListener('click', downloadSchema);
+  $('schemaCopy').addEventListener('click', () => {
+    navigator.clipboard.writeText($('schemaOutput').value).then(
+      () => { $('schemaCopy').textContent = 'Copied'; },
+      () => { $('schemaOutput').select(); });
+  });
+  $('issuesToggle').addEventListener('click', toggleIssuesList);
+  $('issuesDismiss').addEventListener('click', () => {
+    state.issuesDismissed = true;
+    renderIssues();
+  });
+
+  $('profileClose').addEventListener('click', closeProfile);
+  $('profilePanel').addEventListener('keydown', e => {
+    if (e.key === 'Escape') closeProfile();
+  });
+
+  // Import overrides — re-parse the same file or paste with the new settings
+  [['optEncoding', 'encoding'], ['optDelim', 'delim'], ['optQuote', 'quote'],
+    ['optEscape', 'escape'], ['optHeader', 'header']]
+    .forEach(([id, key]) => {
+      $(id).addEventListener('change', e => {
+        reparse({ ...state.importOptions, [key]: e.target.value });
+      });
+    });
+  // The number locale needs no re-parse — only types and the view change
+  $('optDecimal').addEventListener('change', e => {
+    state.importOptions = { ...state.importOptions, decimal: e.target.value };
+    applyNumberLocale();
+  });
+  $('optSkipLines').addEventListener('change', e => {
+    const skipLines = Math.max(0, parseInt(e.target.value, 10) || 0);
+    reparse({ ...state.importOptions, skipLines });
+  });
+  $('btnCancelLoadHeader').addEventListener('click', cancelLoad);
+
+  // Column type menu: arrows move, Escape closes, outside clicks close
+  const typeMenu = $('typeMenu');
+  typeMenu.addEventListener('keydown', e => {
+    const items = Array.from(typeMenu.querySelectorAll('[role="menuitemradio"]'));
+    const i = items.indexOf(document.activeElement);
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : items.length - 1;
+      items[(i + step) % items.length].focus();
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      closeTypeMenu(true);
+    } else if (e.key === 'Tab') {
+      closeTypeMenu();
+    }
+  });
+  document.addEventListener('click', e => {
+    if (!typeMenu.contains(e.target)) closeTypeMenu();
+  });
+  // The menu is placed under its badge; a scrolled table would leave it behind
+  document.addEventListener('scroll', () => closeTypeMenu(), true);
+
+  // Facet menu: Escape closes, outside clicks and outside scrolling close
+  const facetMenu = $('facetMenu');
+  facetMenu.addEventListener('keydown', e => {
+    if (e.key !== 'Escape') return;
+    e.preventDefault();
+    closeFacetMenu(true);
+  });
+  document.addEventListener('click', e => {
+    if (!facetMenu.contains(e.target)) closeFacetMenu();
+  });
+  document.addEventListener('scroll', e => {
+    if (!facetMenu.contains(e.target)) closeFacetMenu();
+  }, true);
+
+  $('btnAppend').addEventListener('click', () => $('appendInput').click());
+  $('appendInput').addEventListener('change', e => {
+    appendFiles(e.target.files);
+    e.target.value = '';
+  });
+  $('optSourceCol').addEventListener('change', e => {
+    state.sourceColumn = e.target.checked;
+    combineParts();
+  });
+
+  // Tabs: arrow keys move between them, as in the ARIA tabs pattern
+  $('tabBar').addEventListener('keydown', e => {
+    if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+    const tabs = Array.from($('tabBar').querySelectorAll('[role="tab"]'));
+    const i = tabs.indexOf(document.activeElement);
+    if (i === -1) return;
+    e.preventDefault();
+    const step = e.key === 'ArrowRight' ? 1 : tabs.length - 1;
+    switchDataset(datasets[(i + step) % tabs.length]);
+    // renderTabs rebuilt the buttons
+    const selected = $('tabBar').querySelector('[aria-selected="true"]');
+    if (selected) selected.focus();
+  });
 });
@@ -0,0 +1,146 @@
+'use strict';
+// Background file parser. Reads a File in chunks, feeds them through the
+// incremental CSV parser from lib.js and posts rows back as they complete,
+// so the page stays responsive while large files load. JSON / NDJSON files
+// are read the same way but converted to rows once the whole text is in.
+//
+// Messages in:  { file, options }   options: {format: 'csv'|'json'} plus
+//                                   {encoding, delim, quote, escape} overrides,
+//                                   skipLines, and strict: true to refuse
+//                                   malformed files
+// Messages out: { type: 'progress', rows, bytesRead, totalBytes, rowCount, dialect,
+//                 encoding, warnings, warningCount }
+//                 encoding: detected one; warnings: only those new since last message
+//               { type: 'done', ...same fields }
+//               { type: 'error', message, reason: 'strict'|'json'|'read' }
+// Cancelling is done by the page calling worker.terminate().
+
+importScripts('lib.js');
+
+const CHUNK_SIZE = 1024 * 1024; // 1 MB per read
+
+self.onmessage = async e => {
+  const { file } = e.data;
+  const options = e.data.options || {};
+
+  try {
+    if (options.format === 'json') await parseJSONFile(file, options);
+    else await parseCSVFile(file, options);
+  } catch (err) {
+    self.postMessage({
+      type: 'error', message: err.message,
+      reason: err instanceof SyntaxError ? 'json' : 'read',
+    });
+  }
+};
+
+/* ============================================================
+   Chunked reading + decoding
+   Calls onText(text, progress) per chunk with progress
+   {bytesRead, totalBytes, encoding}; a last call flushes the
+   decoder with progress.last = true. onText returning false
+   stops the read.
+   ============================================================ */
+async function readTextChunks(file, options, onText) {
+  const totalBytes = file.size;
+  let decoder = null;
+  let encoding = null;
+  let bytesRead = 0;
+
+  while (bytesRead < totalBytes) {
+    const buf = await file.slice(bytesRead, bytesRead + CHUNK_SIZE).arrayBuffer();
+    bytesRead += buf.byteLength;
+
+    // Encoding is detected from the first chunk's bytes (BOM or patterns).
+    // stream: true keeps multi-byte characters split across chunks intact.
+    if (!decoder) {
+      encoding = detectEncoding(new Uint8Array(buf));
+      decoder = new TextDecoder(options.encoding || encoding);
+    }
+    const text = decoder.decode(buf, { stream: true });
+    if (onText(text, { bytesRead, totalBytes, encoding }) === false) return;
+  }
+
+  onText(decoder ? decoder.decode() : '', { bytesRead, totalBytes, encoding, last: true });
+}
+
+/* ============================================================
+   CSV — rows are posted as each chunk completes them
+   ============================================================ */
+async function parseCSVFile(file, options) {
+  let parser = null;
+  let dialect = null;
+  let rowCount = 0;
+  let warningsSent = 0;
+
+  await readTextChunks(file, options, (text, progress) => {
+    // The dialect is sniffed once, from the first chunk
+    if (!parser) {
+      const skipLines = options.skipLines || 0;
+      dialect = sniffDialect(skipLeadingLines(text, skipLines));
+      parser = createCSVParser(options.delim || dialect.delim, {
+        quote: options.quote || dialect.quote,
+        escape: options.escape || dialect.escape,
+        skipLines,
+      });
+    }
+
+    const rows = parser.push(text);
+    if (progress.last) {
+      for (const row of parser.finish()) rows.push(row);
+    }
+    rowCount += rows.length;
+
+    if (options.strict && parser.warningCount > 0) {
+      refuseStrict(parser.warnings[0]);
+      return false;
+    }
+    const warnings = parser.warnings.slice(warningsSent);
+    warningsSent += warnings.length;
+    self.postMessage({
+      type: progress.last ? 'done' : 'progress',
+      rows, rowCount, dialect, warnings, warningCount: parser.warningCount,
+      bytesRead: progress.bytesRead, totalBytes: progress.totalBytes, encoding: progress.encoding,
+    });
+    return true;
+  });
+}
+
+/* ============================================================
+   JSON / NDJSON — the column set (union of keys) is only known
+   once every record is in, so rows arrive in one batch
+   ============================================================ */
+async function parseJSONFile(file, options) {
+  const parts = [];
+
+  await readTextChunks(file, options, (text, progress) => {
+    parts.push(text);
+    if (!progress.last) {
+      self.postMessage({
+        type: 'progress', rows: [], rowCount: 0, dialect: null, warnings: [], warningCount: 0,
+        bytesRead: progress.bytesRead, totalBytes: progress.totalBytes, encoding: progress.encoding,
+      });
+      return true;
+    }
+
+    const { records, warnings, warningCount } = parseJSONRecords(parts.join(''));
+    if (options.strict && warningCount > 0) {
+      refuseStrict(warnings[0]);
+      return false;
+    }
+    const { headers, data } = buildDataFromRecords(records);
+    const rows = headers.length > 0 ? [headers].concat(data) : [];
+    self.postMessage({
+      type: 'done', rows, rowCount: data.length, dialect: null, warnings, warningCount,
+      bytesRead: progress.bytesRead, totalBytes: progress.totalBytes, encoding: progress.encoding,
+    });
+    return true;
+  });
+}
+
+function refuseStrict(w) {
+  self.postMessage({
+    type: 'error', reason: 'strict',
+    message: `Line ${w.line}, column ${w.col}: ${w.message}`,
+  });
+}
@@ -1,105 +1,873 @@
 'use strict';
 
 /* ============================================================
-   CSV Parser — RFC-4180 compliant
+   Character encoding detection — BOM first, then byte patterns
+   bytes: Uint8Array from the start of the file. Returns one of
+   'utf-8' | 'utf-16le' | 'utf-16be' | 'windows-1252' |
+   'iso-8859-1' (labels TextDecoder understands).
    ============================================================ */
-function parseCSV(text) {
-  // Strip UTF-8 BOM
-  if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+const ENCODING_SAMPLE_BYTES = 64 * 1024;
+
+function detectEncoding(bytes) {
+  const b = bytes.subarray(0, ENCODING_SAMPLE_BYTES);
+  const n = b.length;
 
-  // Auto-detect delimiter by counting occurrences in first line
-  const firstLine = text.split(/\r?\n/)[0];
-  const delims = [',', ';', '\t', '|'];
-  let delim = ',';
-  let maxCount = 0;
-  for (const d of delims) {
-    const count = firstLine.split(d).length - 1;
-    if (count > maxCount) { maxCount = count; delim = d; }
+  if (n >= 3 && b[0] === 0xEF && b[1] === 0xBB && b[2] === 0xBF) return 'utf-8';
+  if (n >= 2 && b[0] === 0xFF && b[1] === 0xFE) return 'utf-16le';
+  if (n >= 2 && b[0] === 0xFE && b[1] === 0xFF) return 'utf-16be';
+
+  // UTF-16 without BOM: ASCII text leaves every other byte zero
+  let evenZeros = 0, oddZeros = 0;
+  for (let i = 0; i + 1 < n; i += 2) {
+    if (b[i] === 0) evenZeros++;
+    if (b[i + 1] === 0) oddZeros++;
+  }
+  const pairs = Math.floor(n / 2);
+  if (pairs > 0) {
+    if (oddZeros / pairs > 0.3 && evenZeros / pairs < 0.05) return 'utf-16le';
+    if (evenZeros / pairs > 0.3 && oddZeros / pairs < 0.05) return 'utf-16be';
   }
 
-  const rows = [];
-  let i = 0;
-  const n = text.length;
+  if (isValidUTF8(b, bytes.length > n)) return 'utf-8';
+
+  // Single-byte: 0x80–0x9F are printable in Windows-1252 (€ ‘ ’ “ ” –)
+  // but control codes in ISO-8859-1, so any of them means Windows-1252
+  for (let i = 0; i < n; i++) {
+    if (b[i] >= 0x80 && b[i] <= 0x9F) return 'windows-1252';
+  }
+  return 'iso-8859-1';
+}
 
+// Strict UTF-8 check. When the sample was cut from a longer text, a
+// sequence cut off at its end is allowed.
+function isValidUTF8(b, truncated) {
+  const n = b.length;
+  let i = 0;
   while (i < n) {
-    const row = [];
-    while (i < n) {
-      if (text[i] === '"') {
-        // Quoted field
-        i++; // skip opening quote
-        let field = '';
-        while (i < n) {
-          if (text[i] === '"') {
-            if (i + 1 < n && text[i + 1] === '"') {
-              field += '"'; // escaped quote
-              i += 2;
-            } else {
-              i++; // closing quote
-              break;
-            }
-          } else {
-            field += text[i++];
-          }
+    const c = b[i];
+    if (c < 0x80) { i++; continue; }
+
+    let need;
+    if (c >= 0xC2 && c <= 0xDF) need = 1;
+    else if (c >= 0xE0 && c <= 0xEF) need = 2;
+    else if (c >= 0xF0 && c <= 0xF4) need = 3;
+    else return false;
+
+    if (i + need >= n) return truncated;
+    for (let k = 1; k <= need; k++) {
+      if ((b[i + k] & 0xC0) !== 0x80) return false;
+    }
+    i += need + 1;
+  }
+  return true;
+}
+
+/* ============================================================
+   Dialect sniffing — delimiter, quote character, escape style
+   Samples the first records, skipping over quoted content, and
+   prefers the delimiter that gives the most consistent field
+   count. Returns {delim, quote, escape, confidence} where
+   escape is 'double' ("") or 'backslash' (\") and confidence
+   is the share of sampled records matching the usual count.
+   ============================================================ */
+const SNIFF_DELIMS = [',', ';', '\t', '|'];
+const SNIFF_QUOTES = ['"', "'"]; // in order of preference
+const SNIFF_SAMPLE_CHARS = 64 * 1024;
+const SNIFF_MAX_RECORDS = 50;
+
+function sniffDialect(text) {
+  if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+
+  // Only look at whole lines of a long text
+  let sample = text.slice(0, SNIFF_SAMPLE_CHARS);
+  if (text.length > sample.length) {
+    const lastEOL = Math.max(sample.lastIndexOf('\n'), sample.lastIndexOf('\r'));
+    if (lastEOL > 0) sample = sample.slice(0, lastEOL);
+  }
+
+  const quote = sniffQuote(sample);
+  const escape = sniffEscape(sample, quote);
+  let best = { delim: ',', quote, escape, confidence: 0 };
+  let bestFields = 0;
+
+  for (const delim of SNIFF_DELIMS) {
+    const counts = countRecordFields(sample, delim, quote, escape);
+    if (counts.length === 0) continue;
+
+    // Most common field count (larger count wins ties)
+    const freq = new Map();
+    for (const c of counts) freq.set(c, (freq.get(c) || 0) + 1);
+    let mode = 0, modeFreq = 0;
+    for (const [c, f] of freq) {
+      if (f > modeFreq || (f === modeFreq && c > mode)) { mode = c; modeFreq = f; }
+    }
+    if (mode < 2) continue;
+
+    const confidence = modeFreq / counts.length;
+    if (confidence > best.confidence ||
+        (confidence === best.confidence && mode > bestFields)) {
+      best = { delim, quote, escape, confidence };
+      bestFields = mode;
+    }
+  }
+
+  return best;
+}
+
+// The quote character is the one that most often wraps a whole field,
+// i.e. opens right after a delimiter / line start and closes right before
+// one. Apostrophes inside words (O'Brien) never match. Ties keep '"'.
+function sniffQuote(sample) {
+  let quote = '"';
+  let bestCount = 0;
+  for (const q of SNIFF_QUOTES) {
+    const wrapped = new RegExp(
+      '(?:^|[,;\\t|])' + q + '(?:[^' + q + '\\\\]|' + q + q + '|\\\\.)*' + q + '(?=[,;\\t|\\r\\n]|$)', 'gm');
+    const count = (sample.match(wrapped) || []).length;
+    if (count > bestCount) { quote = q; bestCount = count; }
+  }
+  return quote;
+}
+
+// Backslash escaping is assumed when \" occurs followed by more field text
+// (a trailing backslash right before a closing quote is just data)
+function sniffEscape(sample, quote) {
+  const next = '[^,;\\t|\\r\\n' + quote + ']';
+  return new RegExp('\\\\' + quote + next).test(sample) ? 'backslash' : 'double';
+}
+
+// Field count of each record, treating a quote as opening only at the
+// start of a field — the same rule the parser applies
+function countRecordFields(sample, delim, quote, escape) {
+  const counts = [];
+  let fields = 1;
+  let inQuotes = false;
+  let fieldStart = true;
+  let blank = true;
+
+  for (let i = 0; i < sample.length && counts.length < SNIFF_MAX_RECORDS; i++) {
+    const ch = sample[i];
+    if (inQuotes) {
+      if (ch === '\\' && escape === 'backslash') i++;
+      else if (ch === quote) {
+        if (sample[i + 1] === quote) i++;
+        else inQuotes = false;
+      }
+      continue;
+    }
+    if (ch === '\r' || ch === '\n') {
+      if (!blank) counts.push(fields);
+      fields = 1; fieldStart = true; blank = true;
+      continue;
+    }
+    blank = false;
+    if (ch === delim) { fields++; fieldStart = true; }
+    else if (ch === quote && fieldStart) { inQuotes = true; fieldStart = false; }
+    else fieldStart = false;
+  }
+  if (!blank && counts.length < SNIFF_MAX_RECORDS) counts.push(fields);
+
+  return counts;
+}
+
+/* ============================================================
+   Incremental CSV parser — RFC-4180 compliant
+   Feed text with push(chunk); each call returns the rows
+   completed so far. finish() flushes the last, unterminated row.
+   Chunks may split anywhere, including inside quotes or CRLF.
+   options: {quote: '"', escape: 'double'|'backslash',
+             skipLines: 0 — raw lines to ignore before the data}
+   Malformed input is parsed leniently and reported in
+   parser.warnings as {type, line, col, row, message} — line and
+   col are 1-based, row is the index of the affected output row.
+   ============================================================ */
+const MAX_PARSE_WARNINGS = 1000; // further problems are only counted
+
+function createCSVParser(delim, options) {
+  const quote  = (options && options.quote) || '"';
+  const escape = (options && options.escape) || 'double';
+  const skipLines = (options && options.skipLines) || 0;
+
+  // Field states
+  const START = 0, UNQUOTED = 1, QUOTED = 2, QUOTE_IN_QUOTED = 3, ESCAPED = 4;
+
+  let state = START;
+  let field = '';
+  let row = [];
+  let skipLF = false;   // previous chunk ended on '\r'
+  let first = true;     // BOM check pending
+
+  // Diagnostics
+  const warnings = [];
+  let warningCount = 0;
+  let line = 1, col = 0, lastCh = '';
+  let rowIndex = 0;          // output index of the row being built
+  let rowLine = -1;          // line the current row started on
+  let quoteLine = 0, quoteCol = 0;
+  let expectedFields = -1;   // field count of the first row
+
+  function warn(type, message, wLine, wCol) {
+    warningCount++;
+    if (warnings.length < MAX_PARSE_WARNINGS) {
+      warnings.push({ type, line: wLine, col: wCol, row: rowIndex, message });
+    }
+  }
+
+  function endField(trim) {
+    row.push(trim ? field.trim() : field);
+    field = '';
+  }
+
+  function endRow(out) {
+    if (row.length > 0 && !(row.length === 1 && row[0] === '')) {
+      if (expectedFields < 0) {
+        expectedFields = row.length;
+      } else if (row.length !== expectedFields) {
+        warn(row.length > expectedFields ? 'too-many-fields' : 'too-few-fields',
+             `Expected ${expectedFields} fields, found ${row.length}`, rowLine, 1);
+      }
+      out.push(row);
+      rowIndex++;
+    }
+    row = [];
+    state = START;
+    rowLine = -1;
+  }
+
+  function push(text) {
+    const out = [];
+    let i = 0;
+    const n = text.length;
+
+    if (first && n > 0) {
+      first = false;
+      if (text.charCodeAt(0) === 0xFEFF) i = 1; // strip UTF-8 BOM
+    }
+    if (skipLF && i < n) {
+      skipLF = false;
+      if (text[i] === '\n') { i++; lastCh = '\n'; }
+    }
+
+    for (; i < n; i++) {
+      const ch = text[i];
+      const isEOL = ch === '\r' || ch === '\n';
+
+      // Track the position of ch; CRLF counts as one line break
+      if (lastCh === '\n' || (lastCh === '\r' && ch !== '\n')) { line++; col = 0; }
+      col++;
+      lastCh = ch;
+      if (line <= skipLines) continue; // banner lines are skipped verbatim
+      if (rowLine < 0) rowLine = line;
+
+      if (state === QUOTED) {
+        if (ch === quote) state = QUOTE_IN_QUOTED;
+        else if (ch === '\\' && escape === 'backslash') state = ESCAPED;
+        else field += ch;
+        continue;
+      }
+
+      if (state === ESCAPED) {
+        // \" and \\ stand for the character itself; other backslashes are data
+        if (ch !== quote && ch !== '\\') field += '\\';
+        field += ch;
+        state = QUOTED;
+        continue;
+      }
+
+      if (state === QUOTE_IN_QUOTED) {
+        if (ch === quote) { field += quote; state = QUOTED; continue; } // escaped quote
+        // Closing quote: keep the field as-is (no trimming)
+        endField(false);
+        if (ch === delim) { state = START; continue; }
+        if (!isEOL) {
+          // Text after the closing quote starts a new field
+          warn('text-after-quote', 'Unexpected text after a closing quote', line, col);
+          field = ch;
+          state = UNQUOTED;
+          continue;
         }
-        row.push(field);
-        if (i < n && text[i] === delim) i++;
-        else if (i < n && text[i] === '\r') { i++; if (i < n && text[i] === '\n') i++; break; }
-        else if (i < n && text[i] === '\n') { i++; break; }
+      } else if (isEOL || ch === delim) {
+        endField(true);
+        if (ch === delim) { state = START; continue; }
+      } else if (state === START && ch === quote) {
+        state = QUOTED;
+        quoteLine = line;
+        quoteCol = col;
+        continue;
       } else {
-        // Unquoted field
-        let field = '';
-        while (i < n && text[i] !== delim && text[i] !== '\r' && text[i] !== '\n') {
-          field += text[i++];
-        }
-        row.push(field.trim());
-        if (i < n && text[i] === delim) i++;
-        else if (i < n && text[i] === '\r') { i++; if (i < n && text[i] === '\n') i++; break; }
-        else if (i < n && text[i] === '\n') { i++; break; }
-        else break; // end of string
+        if (ch === quote) warn('stray-quote', 'Quote character inside an unquoted field', line, col);
+        field += ch;
+        state = UNQUOTED;
+        continue;
+      }
+
+      // End of line
+      endRow(out);
+      if (ch === '\r') {
+        if (i + 1 < n) { if (text[i + 1] === '\n') { i++; lastCh = '\n'; } }
+        else skipLF = true;
       }
     }
-    if (row.length > 0 && !(row.length === 1 && row[0] === '')) {
-      rows.push(row);
+
+    return out;
+  }
+
+  function finish() {
+    const out = [];
+    if (state === QUOTED || state === ESCAPED) {
+      warn('unterminated-quote', 'Quoted field is never closed', quoteLine, quoteCol);
     }
+    if (state === UNQUOTED) endField(true);
+    else if (state === ESCAPED) { field += '\\'; endField(false); }
+    else if (state === QUOTED || state === QUOTE_IN_QUOTED) endField(false);
+    endRow(out);
+    return out;
   }
 
-  return { rows, delim };
+  return {
+    delim, quote, escape, push, finish, warnings,
+    get warningCount() { return warningCount; },
+  };
+}
+
+/* ============================================================
+   Skip the first n raw lines of a text (CRLF, LF or CR breaks)
+   ============================================================ */
+function skipLeadingLines(text, n) {
+  let i = 0;
+  for (let skipped = 0; skipped < n && i < text.length; skipped++) {
+    const lf = text.indexOf('\n', i);
+    const cr = text.indexOf('\r', i);
+    if (lf < 0 && cr < 0) return '';
+    if (cr >= 0 && (lf < 0 || cr < lf)) i = text[cr + 1] === '\n' ? cr + 2 : cr + 1;
+    else i = lf + 1;
+  }
+  return text.slice(i);
+}
+
+/* ============================================================
+   CSV Parser — parses a whole string in one go
+   options: {delim, quote, escape} override the sniffed dialect,
+            {skipLines} drops leading banner lines.
+   Returns {rows, delim, dialect, warnings, warningCount} —
+   dialect is what sniffing found, warnings as in createCSVParser.
+   ============================================================ */
+function parseCSV(text, options) {
+  const o = options || {};
+  const skipLines = o.skipLines || 0;
+  const dialect = sniffDialect(skipLeadingLines(text, skipLines));
+  const delim = o.delim || dialect.delim;
+  const parser = createCSVParser(delim, {
+    quote: o.quote || dialect.quote,
+    escape: o.escape || dialect.escape,
+    skipLines,
+  });
+  const rows = parser.push(text);
+  for (const row of parser.finish()) rows.push(row);
+  return { rows, delim, dialect, warnings: parser.warnings, warningCount: parser.warningCount };
 }
 
 /* ============================================================
    Build structured data from raw rows
+   options: {hasHeader: true} — when false, every row is data
+   and columns are named "Column N". Blank header names are
+   filled in and duplicates made unique: value, value (2), …
    ============================================================ */
-function buildData(rows) {
+function buildData(rows, options) {
   if (rows.length === 0) return { headers: [], data: [] };
-  const headers = rows[0].map((h, i) => h || `Column ${i + 1}`);
+  const hasHeader = !options || options.hasHeader !== false;
+
+  if (!hasHeader) {
+    const width = Math.max(...rows.slice(0, 500).map(r => r.length));
+    const headers = Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+    return { headers, data: rows };
+  }
+
+  const headers = uniqueNames(rows[0].map((h, i) => h || `Column ${i + 1}`));
   const data = rows.slice(1);
   return { headers, data };
 }
 
+function uniqueNames(names) {
+  const taken = new Set(names);
+  const seen = new Set();
+  return names.map(name => {
+    if (!seen.has(name)) { seen.add(name); return name; }
+    let n = 2;
+    while (taken.has(`${name} (${n})`)) n++;
+    const unique = `${name} (${n})`;
+    taken.add(unique);
+    return unique;
+  });
+}
+
+/* ============================================================
+   JSON / NDJSON records
+   Accepts a JSON array of records, an API envelope object
+   holding one ({"data": [...]}), a single object, or NDJSON
+   (one JSON value per line, array rows included). Bad NDJSON
+   lines are skipped and reported like CSV parse warnings;
+   malformed JSON throws. Text starting with "[" that isn't one
+   array is NDJSON only if every line reads, so a broken
+   pretty-printed array still throws its own error.
+   Returns {records, warnings, warningCount}.
+   ============================================================ */
+function parseJSONRecords(text) {
+  if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+  const trimmed = text.trim();
+  if (trimmed === '') return { records: [], warnings: [], warningCount: 0 };
+
+  let whole;
+  let wholeError = null;
+  try {
+    whole = JSON.parse(trimmed);
+  } catch (err) {
+    wholeError = err;
+  }
+  const isWhole = wholeError === null;
+
+  if (isWhole) {
+    let records = [whole];
+    if (Array.isArray(whole)) {
+      records = whole;
+    } else if (whole !== null && typeof whole === 'object') {
+      const key = Object.keys(whole).find(k =>
+        Array.isArray(whole[k]) && whole[k].length > 0 &&
+        whole[k][0] !== null && typeof whole[k][0] === 'object');
+      if (key !== undefined) records = whole[key];
+    }
+    return { records, warnings: [], warningCount: 0 };
+  }
+
+  const records = [];
+  const warnings = [];
+  let warningCount = 0;
+  const lines = text.split(/\r\n|\r|\n/);
+  for (let i = 0; i < lines.length; i++) {
+    if (lines[i].trim() === '') continue;
+    try {
+      records.push(JSON.parse(lines[i]));
+    } catch (err) {
+      warningCount++;
+      if (warnings.length < MAX_PARSE_WARNINGS) {
+        warnings.push({ type: 'invalid-json', line: i + 1, col: 1, row: null, message: `Skipped invalid JSON (${err.message})` });
+      }
+    }
+  }
+  if (trimmed[0] === '[' && (warningCount > 0 || records.length < 2)) throw wholeError;
+  if (records.length === 0) throw new SyntaxError('Not valid JSON or NDJSON');
+
+  return { records, warnings, warningCount };
+}
+
+/* ============================================================
+   Records → {headers, data}, the same shape as buildData
+   Nested objects become dotted columns (address.city), arrays
+   stay as JSON text. Columns are the union of keys across all
+   records, in first-seen order; missing values are blank.
+   ============================================================ */
+function buildDataFromRecords(records) {
+  const flat = records.map(r => flattenRecord(r, '', new Map()));
+
+  const headers = [];
+  const seen = new Set();
+  for (const rec of flat) {
+    for (const key of rec.keys()) {
+      if (!seen.has(key)) { seen.add(key); headers.push(key); }
+    }
+  }
+
+  const data = flat.map(rec => headers.map(h => (rec.has(h) ? rec.get(h) : '')));
+  return { headers, data };
+}
+
+function flattenRecord(value, prefix, out) {
+  if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+    const keys = Object.keys(value);
+    if (keys.length === 0 && prefix) out.set(prefix, '');
+    for (const k of keys) flattenRecord(value[k], prefix ? `${prefix}.${k}` : k, out);
+  } else {
+    // A bare value (e.g. [1, 2, 3]) becomes a single "value" column
+    const key = prefix || 'value';
+    if (value == null) out.set(key, '');
+    else if (Array.isArray(value)) out.set(key, JSON.stringify(value));
+    else out.set(key, String(value));
+  }
+  return out;
+}
+
+/* ============================================================
+   Rows → tab-separated text, the way spreadsheets put a range
+   on the clipboard. Cells holding a tab, quote or line break
+   are quoted so parseCSV reads them back unchanged.
+   ============================================================ */
+function rowsToTSV(rows) {
+  return rows.map(row => row.map(cell => {
+    const s = String(cell == null ? '' : cell);
+    return /[\t"\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+  }).join('\t')).join('\n');
+}
+
+// parseCSV options for pasted text. Spreadsheet ranges reach the
+// clipboard tab-separated, as do HTML tables via rowsToTSV, but
+// sniffing can still settle on commas inside the cells ("Last,
+// First", "1,5") — so tabs win unless a delimiter was chosen.
+// fromTable: the text came from an HTML table, even a one-column
+// one without any tabs
+function pastedTextOptions(text, options, fromTable) {
+  const o = options || {};
+  if (o.delim || !(fromTable || text.includes('\t'))) return o;
+  return { ...o, delim: '\t' };
+}
+
+/* ============================================================
+   Union of several tables into one — monthly exports with the
+   columns in a different order, or with extra ones, line up.
+   tables: [{name, headers, data}]. Columns are matched by
+   header name (trimmed, case-insensitive) in first-seen order;
+   cells a table doesn't have are blank. options.sourceColumn
+   adds a last column holding each row's table name.
+   ============================================================ */
+function unionTables(tables, options) {
+  const opts = options || {};
+  const headers = [];
+  const byName = new Map(); // normalised header → column index
+
+  const colMaps = tables.map(t => {
+    const used = new Set();
+    return t.headers.map(h => {
+      const key = String(h).trim().toLowerCase();
+      let col = byName.get(key);
+      // Two headers of one table that only differ in case stay apart
+      if (col === undefined || used.has(col)) {
+        col = headers.length;
+        headers.push(h);
+        if (!byName.has(key)) byName.set(key, col);
+      }
+      used.add(col);
+      return col;
+    });
+  });
+
+  const width = headers.length;
+  if (opts.sourceColumn) headers.push(uniqueNames(headers.concat('Source file'))[width]);
+
+  const data = [];
+  tables.forEach((t, i) => {
+    const map = colMaps[i];
+    for (const row of t.data) {
+      const out = new Array(width).fill('');
+      for (let c = 0; c < map.length; c++) out[map[c]] = row[c] == null ? '' : row[c];
+      if (opts.sourceColumn) out.push(t.name);
+      data.push(out);
+    }
+  });
+
+  return { headers, data };
+}
+
+/* ============================================================
+   Header heuristic — does the first row look like a header?
+   Each column votes: a typed column (numbers, dates) whose
+   first cell has a different type says "header"; a first cell
+   that also appears among the values says "data". No evidence
+   either way keeps the usual assumption of a header row.
+   ============================================================ */
+function guessHasHeader(rows, options) {
+  if (rows.length < 2) return true;
+  const first = rows[0];
+  const sample = rows.slice(1, 101);
+  const dataTypes = detectColTypes(first, sample, options);
+  const firstTypes = detectColTypes(first, [first], options);
+
+  let votes = 0;
+  for (let c = 0; c < first.length; c++) {
+    const cell = (first[c] || '').trim();
+    if (dataTypes[c] !== 'string' && dataTypes[c] !== 'empty') {
+      // "3" over a decimal column is still a number, not a header
+      const same = firstTypes[c] === dataTypes[c] ||
+                   (isNumericType(firstTypes[c]) && isNumericType(dataTypes[c]));
+      votes += same ? -1 : 1;
+    } else if (cell && sample.some(r => (r[c] || '').trim() === cell)) {
+      votes--;
+    }
+  }
+  return votes >= 0;
+}
+
+/* ============================================================
+   Column types
+   integer, decimal, currency and percent are the numeric types
+   (isNumericType); 'number' is still understood wherever a
+   type is read, for callers that pass their own colTypes.
+   ============================================================ */
+const COLUMN_TYPES = [
+  'string', 'integer', 'decimal', 'currency', 'percent',
+  'date', 'boolean', 'email', 'url', 'empty',
+];
+
+const BOOLEAN_VALUES = {
+  true: true, false: false, yes: true, no: false,
+};
+
+const CURRENCY_SYMBOLS_RE = /[$€£¥₹]/g;
+const EMAIL_RE    = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_RE      = /^(https?:\/\/|www\.)[^\s]+$/i;
+
+function isNumericType(type) {
+  return type === 'integer' || type === 'decimal' || type === 'currency' ||
+         type === 'percent' || type === 'number';
+}
+
+/* ============================================================
+   Number locale — only the decimal mark is configured: '.'
+   (1,234.56) or ',' (1.234,56 / 1 234,56). Thousands groups
+   may use any other of , . space or ' but must be groups of
+   three, which is what tells "1.234" (dot) from "1,5" (comma).
+   A sign may come before or after the number: -5, 5-, −5.
+   ============================================================ */
+const GROUPED_DOT_RE   = /^(\d{1,3}([,'\s\u00A0\u202F]\d{3})+|\d+)(\.\d*)?([eE][-+]?\d+)?$|^\.\d+([eE][-+]?\d+)?$/;
+const GROUPED_COMMA_RE = /^(\d{1,3}([.'\s\u00A0\u202F]\d{3})+|\d+)(,\d*)?$|^,\d+$/;
+
+// Plain number in the given locale, NaN when the text isn't one
+function parseLocaleNumber(val, decimal) {
+  let s = String(val == null ? '' : val).trim();
+  let negative = false;
+  const signAt = /^[-+\u2212]/.test(s) ? 0 : /[-+\u2212]$/.test(s) ? s.length - 1 : -1;
+  if (signAt !== -1) {
+    negative = s[signAt] !== '+';
+    s = (signAt === 0 ? s.slice(1) : s.slice(0, -1)).trim();
+  }
+  const comma = decimal === ',';
+  if (!(comma ? GROUPED_COMMA_RE : GROUPED_DOT_RE).test(s)) return NaN;
+  s = s.replace(comma ? /[.'\s\u00A0\u202F]/g : /[,'\s\u00A0\u202F]/g, '');
+  if (comma) s = s.replace(',', '.');
+  const n = Number(s);
+  return negative ? -n : n;
+}
+
+// The number behind a numeric cell: "$1,200" → 1200, "45%" → 45,
+// "(50.00)" → -50, "1.234,5 €" → 1234.5 with decimal ','.
+// NaN when there is none.
+function parseNumericCell(val, decimal) {
+  let s = String(val == null ? '' : val).trim();
+  let negative = false;
+  if (/^\(.*\)$/.test(s)) { negative = true; s = s.slice(1, -1); }
+  s = s.replace(CURRENCY_SYMBOLS_RE, '').replace(/%$/, '').trim();
+  if (s === '') return NaN;
+  const n = parseLocaleNumber(s, decimal);
+  return negative ? -n : n;
+}
+
+// Guesses the decimal mark from numeric-looking cells: values that only
+// parse one way vote for it ("1.234,56", "1,5" → ','). With no votes,
+// semicolon-separated files lean to ',' since that is why they use ';'.
+function detectDecimalMark(rows, delim) {
+  let dot = 0, comma = 0;
+  for (const row of rows.slice(0, 500)) {
+    for (const cell of row) {
+      const val = (cell == null ? '' : cell).replace(CURRENCY_SYMBOLS_RE, '').replace(/%$/, '').trim();
+      if (!/\d/.test(val) || !/[.,]/.test(val)) continue;
+      const asDot = !isNaN(parseLocaleNumber(val, '.'));
+      const asComma = !isNaN(parseLocaleNumber(val, ','));
+      if (asDot && !asComma) dot++;
+      else if (asComma && !asDot) comma++;
+    }
+  }
+  if (dot !== comma) return comma > dot ? ',' : '.';
+  return delim === ';' ? ',' : '.';
+}
+
+/* ============================================================
+   Dates — each column is read with one explicit format instead
+   of Date.parse, which takes 03/04/2020 as March 4th, rejects
+   15/04/2020 and differs between browsers. Times without a zone
+   are taken as UTC so the order is the same everywhere.
+     iso       2020-04-15, 2020-04-15T10:30:00+02:00
+     dmy       15/04/2020, 15.04.2020 14:30
+     mdy       04/15/2020, 4-15-2020 2:30 PM
+     text      15 Apr 2020, Apr 15, 2020, Wed, 15 Apr 2020 10:30:00 GMT
+     epoch     Unix time in seconds; epoch-ms in milliseconds
+   ============================================================ */
+const DATE_FORMATS = ['iso', 'dmy', 'mdy', 'text', 'epoch', 'epoch-ms'];
+
+// The formats a single cell can be recognised by; epoch values
+// look like any other integer, so they are only taken per column
+const CELL_DATE_FORMATS = ['iso', 'text', 'dmy', 'mdy'];
+
+const MONTH_NUMBERS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12,
+};
+
+// hours, minutes, seconds, fraction, AM/PM, zone
+const TIME_PART = '(?:(?:T|\\s+)(\\d{1,2}):(\\d{2})(?::(\\d{2})(?:[.,](\\d{1,9}))?)?\\s*([AaPp][Mm])?)?' +
+                  '\\s*(Z|UTC|GMT|[-+]\\d{2}:?\\d{2})?';
+const ISO_DATE_RE     = new RegExp(`^(\\d{4})-(\\d{2})-(\\d{2})${TIME_PART}$`);
+const NUMERIC_DATE_RE = new RegExp(`^(\\d{1,2})([/.-])(\\d{1,2})\\2(\\d{4})${TIME_PART}$`);
+const TEXT_DMY_RE     = new RegExp(`^(?:[A-Za-z]{3,9},?\\s+)?(\\d{1,2})\\s+([A-Za-z]{3,9})\\.?,?\\s+(\\d{4})${TIME_PART}$`);
+const TEXT_MDY_RE     = new RegExp(`^(?:[A-Za-z]{3,9},?\\s+)?([A-Za-z]{3,9})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})${TIME_PART}$`);
+
+// Milliseconds since the epoch for checked date parts; time is
+// [hours, minutes, seconds, fraction, ampm, zone] as matched
+function dateValue(year, month, day, time) {
+  if (!(month >= 1 && month <= 12)) return NaN;
+  if (day < 1 || day > new Date(Date.UTC(year, month, 0)).getUTCDate()) return NaN;
+
+  let hours = Number(time[0] || 0);
+  const minutes = Number(time[1] || 0);
+  const seconds = Number(time[2] || 0);
+  const millis = time[3] ? Number((time[3] + '00').slice(0, 3)) : 0;
+  if (time[4]) {
+    if (hours < 1 || hours > 12) return NaN;
+    hours = hours % 12 + (/p/i.test(time[4]) ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59 || seconds > 59) return NaN;
+
+  let offset = 0;
+  const zone = time[5];
+  if (zone && /^[-+]/.test(zone)) {
+    const digits = zone.replace(':', '');
+    offset = (digits[0] === '-' ? -1 : 1) * (Number(digits.slice(1, 3)) * 60 + Number(digits.slice(3, 5)));
+  }
+  return Date.UTC(year, month - 1, day, hours, minutes, seconds, millis) - offset * 60000;
+}
+
+function monthNumber(name) {
+  return MONTH_NUMBERS[name.slice(0, 3).toLowerCase()];
+}
+
+// Milliseconds since the epoch for a cell read with one of
+// DATE_FORMATS; NaN when it doesn't fit that format
+function parseDateCell(val, format) {
+  const s = String(val == null ? '' : val).trim();
+  let m;
+  switch (format) {
+    case 'iso':
+      m = ISO_DATE_RE.exec(s);
+      return m ? dateValue(+m[1], +m[2], +m[3], m.slice(4)) : NaN;
+    case 'dmy':
+    case 'mdy':
+      m = NUMERIC_DATE_RE.exec(s);
+      if (!m) return NaN;
+      return format === 'dmy'
+        ? dateValue(+m[4], +m[3], +m[1], m.slice(5))
+        : dateValue(+m[4], +m[1], +m[3], m.slice(5));
+    case 'text':
+      if ((m = TEXT_DMY_RE.exec(s))) return dateValue(+m[3], monthNumber(m[2]), +m[1], m.slice(4));
+      if ((m = TEXT_MDY_RE.exec(s))) return dateValue(+m[3], monthNumber(m[1]), +m[2], m.slice(4));
+      return NaN;
+    case 'epoch':
+    case 'epoch-ms':
+      if (!/^-?\d+(\.\d+)?$/.test(s)) return NaN;
+      return format === 'epoch' ? Number(s) * 1000 : Number(s);
+    default:
+      return NaN;
+  }
+}
+
+function isTimeHeader(header) {
+  return /date|time|epoch|created|updated|modified|_at$/i.test(header) || /[a-z]At$/.test(header);
+}
+
+// Picks the one format that reads at least 80% of the values, or
+// null. When every value reads both day- and month-first, a
+// decimal-comma file is taken as day-first. Integers are only
+// taken as Unix time under a header like "created_at" or "timestamp".
+// options: {decimal, header}
+function detectDateFormat(values, options) {
+  const opts = options || {};
+  const sample = values.slice(0, 500)
+    .map(v => (v == null ? '' : String(v)).trim())
+    .filter(v => v !== '');
+  if (sample.length === 0) return null;
+
+  const counts = {};
+  let best = null;
+  for (const format of CELL_DATE_FORMATS) {
+    counts[format] = sample.filter(v => !isNaN(parseDateCell(v, format))).length;
+    if (counts[format] / sample.length >= 0.8 && (!best || counts[format] > counts[best])) best = format;
+  }
+  if ((best === 'dmy' || best === 'mdy') && counts.dmy === counts.mdy) {
+    best = opts.decimal === ',' ? 'dmy' : 'mdy';
+  }
+
+  if (!best && isTimeHeader(opts.header || '')) {
+    if (sample.every(v => /^\d{9,10}$/.test(v))) best = 'epoch';
+    else if (sample.every(v => /^\d{12,13}$/.test(v))) best = 'epoch-ms';
+  }
+  return best;
+}
+
+// Format for column c of rows: the given one, else what the
+// values themselves say
+function columnDateFormat(rows, c, options) {
+  const given = options && options.dateFormats && options.dateFormats[c];
+  return given || detectDateFormat(rows.map(r => r[c]), options) || 'iso';
+}
+
+// true / false for yes/no style cells, null otherwise
+function parseBooleanCell(val) {
+  const key = String(val == null ? '' : val).trim().toLowerCase();
+  return Object.prototype.hasOwnProperty.call(BOOLEAN_VALUES, key) ? BOOLEAN_VALUES[key] : null;
+}
+
+// Kind of a single non-empty, trimmed cell; integer and decimal
+// are told apart later, per column
+function classifyCell(val, decimal) {
+  if (parseBooleanCell(val) !== null) return 'boolean';
+  if (!isNaN(parseLocaleNumber(val, decimal))) return 'number';
+  if (/%$/.test(val) && !isNaN(parseLocaleNumber(val.slice(0, -1), decimal))) return 'percent';
+  const symbols = val.match(CURRENCY_SYMBOLS_RE);
+  if (symbols && symbols.length === 1 && !isNaN(parseNumericCell(val, decimal))) return 'currency';
+  if (EMAIL_RE.test(val)) return 'email';
+  if (URL_RE.test(val)) return 'url';
+  if (CELL_DATE_FORMATS.some(f => !isNaN(parseDateCell(val, f)))) return 'date';
+  return 'string';
+}
+
 /* ============================================================
    Column type detection — scans first 500 rows
-   Returns {colIndex: 'number'|'date'|'string'}
+   A column takes the kind that at least 80% of its non-empty
+   cells have. Numbers are integer unless any of them has a
+   fraction or exponent. Dates need one format that reads 80%
+   (detectDateFormat); integers under a time-like header can be
+   Unix time. No values at all → 'empty'.
+   options: {decimal: '.'|','} — the number locale (default '.')
+   Returns {colIndex: one of COLUMN_TYPES}
    ============================================================ */
-function detectColTypes(headers, data) {
+function detectColTypes(headers, data, options) {
+  const decimal = (options && options.decimal) || '.';
   const sample = data.slice(0, 500);
   const types = {};
 
   for (let c = 0; c < headers.length; c++) {
-    let numOk = 0, dateOk = 0, total = 0;
+    const counts = {};
+    const values = [];
+    let total = 0;
+    let fractional = false;
 
     for (const row of sample) {
       const val = (row[c] == null ? '' : row[c]).trim();
       if (val === '') continue;
       total++;
+      values.push(val);
 
-      if (!isNaN(Number(val.replace(/,/g, '')))) numOk++;
-      else if (!isNaN(Date.parse(val))) dateOk++;
+      const kind = classifyCell(val, decimal);
+      counts[kind] = (counts[kind] || 0) + 1;
+      if (kind === 'number' && (val.includes(decimal) || /e/i.test(val))) fractional = true;
     }
 
-    if (total === 0) { types[c] = 'string'; continue; }
-    if (numOk / total >= 0.8) types[c] = 'number';
-    else if (dateOk / total >= 0.8) types[c] = 'date';
-    else types[c] = 'string';
+    if (total === 0) { types[c] = 'empty'; continue; }
+    const kind = Object.keys(counts).find(k => k !== 'string' && counts[k] / total >= 0.8);
+    if (kind === 'number') types[c] = fractional ? 'decimal' : 'integer';
+    else types[c] = kind || 'string';
+
+    if (types[c] === 'date' || types[c] === 'integer') {
+      const format = detectDateFormat(values, { decimal, header: headers[c] });
+      if (types[c] === 'date' && !format) types[c] = 'string';
+      else if (format === 'epoch' || format === 'epoch-ms') types[c] = 'date';
+    }
   }
 
   return types;
@@ -107,48 +875,1294 @@ function detectColTypes(headers, data) {
 
 /* ============================================================
    Pure filter — returns filtered subset, no side effects
+   The global search is a query (compileSearchQuery below) and
+   column filters are expressions (compileColumnFilter below);
+   plain text is a substring match. With colTypes, a numeric
+   column also matches on the number itself ("1200" finds
+   "$1,200") and a boolean column matches yes/no words by value
+   ("true" finds "Yes"). A date column also matches on the ISO
+   form of the date ("2020-04-15" finds "15/04/2020").
+   options: {decimal} as for detectColTypes,
+   {dateFormats: {col: format}} — detected from data if missing,
+   searchMode for the global search and filterModes (per column)
+   for the column filters: {regex, caseSensitive, wholeWord},
+   all off by default. See textMatcher. searchMode.fuzzy makes
+   the global search fuzzy (see compileFuzzyQuery) and returns
+   the rows best match first.
+   facets: [col] → values the column may hold (trimmed, exact;
+   '' for blank cells), or null for no restriction.
+   filterTree: a filter builder tree, see compileFilterTree.
+   searchIndex: from buildSearchIndex, for the global search
    ============================================================ */
-function filterRows(data, headers, globalSearch, colFilters) {
-  const gLower = (globalSearch || '').toLowerCase();
-  const colLowers = (colFilters || []).map(f => (f || '').toLowerCase());
+function filterRows(data, headers, globalSearch, colFilters, colTypes, options) {
+  const decimal = (options && options.decimal) || '.';
+  const filters = colFilters || [];
+  const modes = (options && options.filterModes) || [];
+  const facets = ((options && options.facets) || []).map(values => (values ? new Set(values) : null));
   const colCount = headers ? headers.length : 0;
+  const tree = options && options.filterTree;
+  const dateFormats = {};
+  if (globalSearch || filters.some(f => f) || tree) {
+    for (let c = 0; c < colCount; c++) {
+      if (colTypes && colTypes[c] === 'date') dateFormats[c] = columnDateFormat(data, c, { ...options, header: headers[c] });
+    }
+  }
+  const search = compileSearchQuery(globalSearch, headers, colTypes, {
+    decimal, dateFormats, mode: options && options.searchMode, index: options && options.searchIndex,
+  });
+  const matchers = filters.map((f, c) => {
+    if (!f) return null;
+    return compileColumnFilter(f, colTypes && colTypes[c], { decimal, dateFormat: dateFormats[c], mode: modes[c] }).match;
+  });
+  const built = tree ? compileFilterTree(tree, headers, colTypes, { decimal, dateFormats }).match : null;
 
-  return data.filter(row => {
-    if (gLower && !row.some(cell => (cell == null ? '' : cell).toLowerCase().includes(gLower))) return false;
+  const passesColumns = row => {
+    if (built && !built(row)) return false;
     for (let c = 0; c < colCount; c++) {
-      const f = colLowers[c];
-      if (!f) continue;
-      if (!(row[c] == null ? '' : row[c]).toLowerCase().includes(f)) return false;
+      const cell = row[c] == null ? '' : row[c];
+      if (facets[c] && !facets[c].has(cell.trim())) return false;
+      const match = matchers[c];
+      if (match && !match(cell)) return false;
     }
     return true;
+  };
+
+  if (!search.score) return data.filter(row => search.match(row) && passesColumns(row));
+
+  // Ranked: lower scores first; sort is stable, so ties keep file order
+  const scored = [];
+  for (const row of data) {
+    if (!passesColumns(row)) continue;
+    const score = search.score(row);
+    if (score !== Infinity) scored.push({ row, score });
+  }
+  scored.sort((a, b) => a.score - b.score);
+  return scored.map(s => s.row);
+}
+
+/* ============================================================
+   Search index — each row's cells lower-cased and joined once
+   at load, so plain words in the global search are one
+   includes() per row instead of lower-casing every cell again
+   on every keystroke. A Map keyed by the row arrays; pass an
+   existing index to add rows streamed in since it was built.
+   ============================================================ */
+const INDEX_SEPARATOR = '\u0000'; // never typed, so no word matches across two cells
+
+function buildSearchIndex(rows, index) {
+  const text = index || new Map();
+  for (const row of rows) {
+    if (!text.has(row)) text.set(row, rowSearchText(row));
+  }
+  return text;
+}
+
+function rowSearchText(row) {
+  return row.map(cell => (cell == null ? '' : cell).toLowerCase()).join(INDEX_SEPARATOR);
+}
+
+// Whether every row matching query also matches previous, so the
+// rows found for previous can be filtered instead of the whole
+// table: query must extend previous, and both be plain words
+// (no quotes, -, OR/AND, parentheses or column:). Regex, whole-
+// word and fuzzy searches never narrow — "ab" → "abc" finds rows
+// "ab" missed as a whole word, and fuzzy results are re-ranked.
+function searchNarrows(previous, query, mode) {
+  const m = mode || {};
+  if (m.regex || m.wholeWord || m.fuzzy) return false;
+  const plain = text => !/["()]/.test(text) && text.split(/\s+/).every(word =>
+    !word.startsWith('-') && !word.includes(':') && word !== 'OR' && word !== 'AND');
+  return String(query).startsWith(previous) && plain(previous) && plain(query);
+}
+
+// Distinct trimmed values of column c with how many rows hold each,
+// most common first — the choices for a facet filter. Blank cells
+// count as ''.
+function facetValues(rows, c) {
+  const counts = new Map();
+  for (const row of rows) {
+    const val = (row[c] == null ? '' : row[c]).trim();
+    counts.set(val, (counts.get(val) || 0) + 1);
+  }
+  return Array.from(counts, ([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value, undefined, { numeric: true }));
+}
+
+// Column filter test for one cell. The text itself is matched per
+// mode; the typed readings below always ignore case
+function cellMatcher(text, type, decimal, dateFormat, mode) {
+  const f = text.toLowerCase();
+  const contains = textMatcher(text, mode).match;
+  if (isNumericType(type)) {
+    // "1234,5" should find 1.234,5 in a decimal-comma file
+    const wanted = decimal === ',' ? f.replace(',', '.') : f;
+    return cell => {
+      if (contains(cell)) return true;
+      const n = parseNumericCell(cell, decimal);
+      return !isNaN(n) && String(n).includes(wanted);
+    };
+  }
+  if (type === 'boolean') {
+    const wanted = parseBooleanCell(f);
+    if (wanted !== null) return cell => parseBooleanCell(cell) === wanted;
+  }
+  if (type === 'date') {
+    return cell => {
+      if (contains(cell)) return true;
+      const t = parseDateCell(cell, dateFormat);
+      return !isNaN(t) && Math.abs(t) < 8.64e15 && new Date(t).toISOString().toLowerCase().includes(f);
+    };
+  }
+  return contains;
+}
+
+/* ============================================================
+   Column filter expressions
+     text        substring match (see cellMatcher)
+     =text       exact match, any column; numbers and dates
+                 compare by value ("=1200" finds "$1,200")
+     !expr       negation of any expression; != is !=
+     >n <n >=n <=n, a..b (either end may be left open)
+                 number and date columns; dates also take
+                 "before d" / "after d". A date without a time
+                 stands for the whole day. In other columns these
+                 are plain text unless they compare a number.
+   Returns {match: cell → boolean, error: message | null}; with
+   an error, match lets every cell through so a half-typed
+   expression doesn't empty the table.
+   options: {decimal, dateFormat}, defaulting to '.' and 'iso',
+   and mode as for textMatcher. valueDecimal: the mark numbers
+   in the expression are written with, if not the file's — the
+   filter builder's number inputs always use '.'. In regex mode
+   the whole text is the pattern; case and whole-word apply to
+   the text matches (plain and =exact) but not to comparisons
+   ============================================================ */
+const FILTER_COMPARISON_RE = /^(>=|<=|>|<|before\s|after\s)\s*(.*)$/;
+
+function compileColumnFilter(text, type, options) {
+  const decimal = (options && options.decimal) || '.';
+  const opts = {
+    decimal,
+    valueDecimal: (options && options.valueDecimal) || decimal,
+    dateFormat: (options && options.dateFormat) || 'iso',
+    mode: (options && options.mode) || {},
+  };
+  const raw = String(text || '').trim();
+  const f = raw.toLowerCase();
+  const pass = { match: () => true, error: null };
+  if (f === '') return pass;
+  if (opts.mode.regex) return textMatcher(raw, opts.mode);
+
+  if (f[0] === '!') {
+    const inner = compileColumnFilter(raw.slice(1), type, opts);
+    if (inner.error) return { ...pass, error: inner.error };
+    if (f.length === 1) return { ...pass, error: 'Nothing to negate after !' };
+    return { match: cell => !inner.match(cell), error: null };
+  }
+
+  const ordered = isNumericType(type) || type === 'date';
+  const interval = value => (type === 'date'
+    ? filterDateInterval(value, opts.dateFormat)
+    : filterNumberInterval(value, opts.valueDecimal));
+  const cellValue = type === 'date'
+    ? cell => parseDateCell(cell, opts.dateFormat)
+    : cell => parseNumericCell(cell, opts.decimal);
+  const kind = type === 'date' ? 'date' : 'number';
+
+  if (f[0] === '=') {
+    const wanted = raw.slice(1).trim();
+    const bounds = ordered ? interval(wanted) : null;
+    if (bounds) {
+      return { match: cell => { const v = cellValue(cell); return v >= bounds[0] && v <= bounds[1]; }, error: null };
+    }
+    if (opts.mode.caseSensitive) return { match: cell => cell.trim() === wanted, error: null };
+    const lower = wanted.toLowerCase();
+    return { match: cell => cell.trim().toLowerCase() === lower, error: null };
+  }
+
+  const comparison = FILTER_COMPARISON_RE.exec(f);
+  const range = f.includes('..') ? f.split('..') : null;
+  const looksNumeric = s => s.trim() !== '' && !isNaN(parseNumericCell(s, opts.decimal));
+  if (!ordered && ((comparison && looksNumeric(comparison[2])) || (range && range.some(looksNumeric)))) {
+    return { ...pass, error: 'Comparisons only work on number and date columns' };
+  }
+  if (!ordered || (!comparison && !range)) {
+    return { match: cellMatcher(raw, type, opts.decimal, opts.dateFormat, opts.mode), error: null };
+  }
+
+  if (range) {
+    if (range.length !== 2) return { ...pass, error: 'A range is written from..to' };
+    const [from, to] = range.map(s => s.trim());
+    const lo = from === '' ? [-Infinity, -Infinity] : interval(from);
+    const hi = to === '' ? [Infinity, Infinity] : interval(to);
+    if (!lo || !hi || (from === '' && to === '')) return { ...pass, error: `Not a ${kind} range` };
+    return { match: cell => { const v = cellValue(cell); return v >= lo[0] && v <= hi[1]; }, error: null };
+  }
+
+  const op = comparison[1].trim();
+  const bounds = interval(comparison[2].trim());
+  if (!bounds) return { ...pass, error: `Expected a ${kind} after ${op}` };
+  if ((op === 'before' || op === 'after') && type !== 'date') {
+    return { ...pass, error: `"${op}" only works on date columns` };
+  }
+  const test = {
+    '>': v => v > bounds[1], after: v => v > bounds[1], '>=': v => v >= bounds[0],
+    '<': v => v < bounds[0], before: v => v < bounds[0], '<=': v => v <= bounds[1],
+  }[op];
+  return { match: cell => { const v = cellValue(cell); return !isNaN(v) && test(v); }, error: null };
+}
+
+// [lo, hi] a typed number stands for, or null. The file's own
+// locale is tried first, then plain "1234.5".
+function filterNumberInterval(value, decimal) {
+  let n = parseNumericCell(value, decimal);
+  if (isNaN(n) && decimal === ',') n = parseNumericCell(value, '.');
+  return isNaN(n) ? null : [n, n];
+}
+
+// [lo, hi] a typed date stands for: ISO, or as the column writes
+// dates. Without a time it covers the whole day.
+function filterDateInterval(value, dateFormat) {
+  for (const format of ['iso', dateFormat, 'text']) {
+    if (!format) continue;
+    const t = parseDateCell(value, format);
+    if (isNaN(t)) continue;
+    const wholeDay = t % 86400000 === 0 && !/\d:\d/.test(value) && !/^epoch/.test(format);
+    return wholeDay ? [t, t + 86400000 - 1] : [t, t];
+  }
+  return null;
+}
+
+// Text test for one cell. mode: {regex, caseSensitive, wholeWord};
+// without flags it's a case-insensitive substring. Whole words
+// have no letter, digit or _ right before or after them, so IT
+// doesn't match inside Digital. Returns {match, error} like
+// compileColumnFilter — a bad regex is an error, not a throw.
+function textMatcher(text, mode) {
+  const m = mode || {};
+  if (!m.regex && !m.wholeWord) {
+    if (m.caseSensitive) return { match: cell => cell.includes(text), error: null };
+    const lower = text.toLowerCase();
+    return { match: cell => cell.toLowerCase().includes(lower), error: null };
+  }
+
+  let re;
+  try {
+    const source = m.regex ? text : text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    re = new RegExp(source, m.caseSensitive ? 'g' : 'gi');
+  } catch (err) {
+    return { match: () => true, error: err.message };
+  }
+  if (!m.wholeWord) {
+    return { match: cell => { re.lastIndex = 0; return re.test(cell); }, error: null };
+  }
+  return {
+    match: cell => {
+      re.lastIndex = 0;
+      let found;
+      while ((found = re.exec(cell)) !== null) {
+        const end = found.index + found[0].length;
+        if (!WORD_CHAR_RE.test(cell.charAt(found.index - 1)) && !WORD_CHAR_RE.test(cell.charAt(end))) return true;
+        // Look again from the next character, not past this match
+        re.lastIndex = found.index + 1;
+      }
+      return false;
+    },
+    error: null,
+  };
+}
+
+const WORD_CHAR_RE = /[\p{L}\p{N}_]/u;
+
+/* ============================================================
+   Search queries — the global search box
+     word "a phrase"   any cell contains it (case-insensitive)
+     column:expr       that column matches a column filter
+                       expression: salary:>90000, dept:=Sales,
+                       "first name":"Ann Lee". Column names are
+                       matched case-insensitively
+     -term             excludes matches; also -(group)
+     a OR b            either; binds tighter than the implicit
+                       AND between terms, so  dept:eng dept:ops
+                       OR x  needs both dept:eng and one of the two
+     ( … )             grouping
+   "10:30" and "http://…" stay plain text. Returns {match: row →
+   boolean, error: message | null}; with an error every row
+   passes, as with compileColumnFilter.
+   options: {decimal, dateFormats: {col: format}, mode} — mode as
+   for textMatcher; index, from buildSearchIndex, speeds up plain
+   words. In regex mode the whole query is one pattern,
+   tried on every cell; otherwise case and whole-word apply to
+   each word, phrase and column value. mode.fuzzy overrides the
+   rest and hands the query to compileFuzzyQuery
+   ============================================================ */
+function compileSearchQuery(query, headers, colTypes, options) {
+  const pass = { match: () => true, error: null };
+  if (String(query || '').trim() === '') return pass;
+
+  const opts = options || {};
+  const mode = opts.mode || {};
+  if (mode.fuzzy) return compileFuzzyQuery(query);
+  if (mode.regex) {
+    const { match, error } = textMatcher(String(query).trim(), mode);
+    return error ? { ...pass, error } : { match: row => row.some(cell => match(cell == null ? '' : cell)), error: null };
+  }
+
+  let tokens;
+  try {
+    tokens = tokenizeSearchQuery(String(query));
+  } catch (err) {
+    return { ...pass, error: err.message };
+  }
+
+  const names = (headers || []).map(h => String(h).trim().toLowerCase());
+  let pos = 0;
+
+  function term(token) {
+    if (token.field === null) {
+      if (opts.index && !mode.caseSensitive && !mode.wholeWord) {
+        const lower = token.value.toLowerCase();
+        return row => (opts.index.get(row) || rowSearchText(row)).includes(lower);
+      }
+      const { match } = textMatcher(token.value, mode);
+      return row => row.some(cell => match(cell == null ? '' : cell));
+    }
+    const c = names.indexOf(token.field.trim().toLowerCase());
+    if (c < 0) {
+      // Times and links have colons too
+      if (/^\d+$/.test(token.field) || token.value.startsWith('//')) {
+        return term({ field: null, value: token.field + ':' + token.value });
+      }
+      throw new Error(`No column named "${token.field}" — put the term in quotes to search for it as text`);
+    }
+    if (token.value.trim() === '') throw new Error(`Nothing to search for after ${token.field}:`);
+    const type = colTypes && colTypes[c];
+    const filter = compileColumnFilter(token.value, type, {
+      decimal: opts.decimal, dateFormat: opts.dateFormats && opts.dateFormats[c], mode,
+    });
+    if (filter.error) throw new Error(`${headers[c]}: ${filter.error}`);
+    return row => filter.match(row[c] == null ? '' : row[c]);
+  }
+
+  function unary() {
+    const token = tokens[pos++];
+    if (!token || token.type === ')') throw new Error(token ? 'Unexpected )' : 'Missing )');
+    if (token.type === 'or') throw new Error('OR needs a term on both sides');
+    if (token.type === '-') {
+      const inner = unary();
+      return row => !inner(row);
+    }
+    if (token.type === '(') {
+      if (tokens[pos] && tokens[pos].type === ')') throw new Error('Empty parentheses');
+      const inner = all();
+      if (!tokens[pos] || tokens[pos].type !== ')') throw new Error('Missing )');
+      pos++;
+      return inner;
+    }
+    return term(token);
+  }
+
+  function either() {
+    const parts = [unary()];
+    while (tokens[pos] && tokens[pos].type === 'or') {
+      pos++;
+      if (!tokens[pos] || tokens[pos].type === ')' || tokens[pos].type === 'or') {
+        throw new Error('OR needs a term on both sides');
+      }
+      parts.push(unary());
+    }
+    return parts.length === 1 ? parts[0] : row => parts.some(p => p(row));
+  }
+
+  function all() {
+    const parts = [either()];
+    while (tokens[pos] && tokens[pos].type !== ')') parts.push(either());
+    return parts.length === 1 ? parts[0] : row => parts.every(p => p(row));
+  }
+
+  try {
+    const match = all();
+    if (pos < tokens.length) throw new Error('Unexpected )');
+    return { match, error: null };
+  } catch (err) {
+    return { ...pass, error: err.message };
+  }
+}
+
+// Tokens: {type: '(' | ')' | '-' | 'or'} and {type: 'term', field,
+// value}; field is null without a "name:" prefix. Quotes keep
+// spaces, parentheses and keywords literal, in names and values
+// alike. AND is accepted and dropped, since terms are ANDed anyway.
+function tokenizeSearchQuery(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    if (ch === '(' || ch === ')') { tokens.push({ type: ch }); i++; continue; }
+    if (ch === '-' && i + 1 < text.length && !/[\s)]/.test(text[i + 1])) { tokens.push({ type: '-' }); i++; continue; }
+
+    let field = null;
+    let value = '';
+    let quoted = false;
+    while (i < text.length && !/[\s()]/.test(text[i])) {
+      if (text[i] === '"') {
+        const end = text.indexOf('"', i + 1);
+        if (end < 0) throw new Error('Missing closing "');
+        value += text.slice(i + 1, end);
+        quoted = true;
+        i = end + 1;
+      } else if (text[i] === ':' && field === null && value !== '') {
+        field = value;
+        value = '';
+        quoted = false;
+        i++;
+      } else {
+        value += text[i++];
+      }
+    }
+
+    if (field === null && !quoted && value === 'OR') tokens.push({ type: 'or' });
+    else if (field === null && !quoted && value === 'AND') continue;
+    else tokens.push({ type: 'term', field, value });
+  }
+  return tokens;
+}
+
+/* ============================================================
+   Fuzzy search — forgiving of typos. Each word of the query
+   must turn up in some cell within a few edits (insert, delete
+   or change a character): none for words of up to 3 letters,
+   1 up to 6, 2 beyond — so "jonson" finds "Johnson". A word may
+   match part of a cell. Query syntax is not interpreted; quotes
+   are dropped.
+   compileFuzzyQuery returns {match, score, error: null}; score
+   is the row's total edits (Infinity when it doesn't match),
+   so lower is better.
+   ============================================================ */
+function compileFuzzyQuery(query) {
+  const words = fuzzyWords(query);
+  const score = row => {
+    let total = 0;
+    for (const word of words) {
+      const limit = fuzzyTolerance(word.length);
+      let best = Infinity;
+      for (const cell of row) {
+        const d = fuzzyDistance(word, (cell == null ? '' : cell).toLowerCase(), limit);
+        if (d < best) best = d;
+        if (best === 0) break;
+      }
+      if (best > limit) return Infinity;
+      total += best;
+    }
+    return total;
+  };
+  return { match: row => score(row) !== Infinity, score, error: null };
+}
+
+function fuzzyWords(query) {
+  return String(query || '').replace(/"/g, ' ').toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+function fuzzyTolerance(length) {
+  return length <= 3 ? 0 : length <= 6 ? 1 : 2;
+}
+
+// Fewest edits turning word into some stretch of text (Sellers'
+// algorithm: free start and end in text), capped at limit + 1.
+// Only two columns of the table are kept.
+function fuzzyDistance(word, text, limit) {
+  if (text.includes(word)) return 0;
+  if (limit === 0) return 1;
+  const m = word.length;
+  let prev = new Array(m + 1);
+  let cur = new Array(m + 1);
+  for (let i = 0; i <= m; i++) prev[i] = i;
+  let best = prev[m];
+
+  for (let j = 1; j <= text.length; j++) {
+    cur[0] = 0;
+    for (let i = 1; i <= m; i++) {
+      const change = prev[i - 1] + (word[i - 1] === text[j - 1] ? 0 : 1);
+      cur[i] = Math.min(change, prev[i] + 1, cur[i - 1] + 1);
+    }
+    if (cur[m] < best) best = cur[m];
+    [prev, cur] = [cur, prev];
+  }
+  return best > limit ? limit + 1 : best;
+}
+
+// Where a fuzzy query matched inside one cell's text, for
+// highlighting: sorted, merged [start, end) ranges of the
+// characters that line up with a query word. Words that don't
+// match this cell add nothing.
+function fuzzyHighlightRanges(text, query) {
+  const lower = String(text == null ? '' : text).toLowerCase();
+  const hits = new Set();
+  for (const word of fuzzyWords(query)) {
+    const exact = lower.indexOf(word);
+    if (exact >= 0) {
+      for (let k = 0; k < word.length; k++) hits.add(exact + k);
+      continue;
+    }
+    const limit = fuzzyTolerance(word.length);
+    if (limit === 0 || fuzzyDistance(word, lower, limit) > limit) continue;
+    for (const k of fuzzyAlignment(word, lower)) hits.add(k);
+  }
+
+  const ranges = [];
+  for (const k of [...hits].sort((a, b) => a - b)) {
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === k) last[1] = k + 1;
+    else ranges.push([k, k + 1]);
+  }
+  return ranges;
+}
+
+// Text positions of the characters that match word, along the
+// best alignment found by the full table of fuzzyDistance
+function fuzzyAlignment(word, text) {
+  const m = word.length;
+  const n = text.length;
+  const d = [];
+  for (let i = 0; i <= m; i++) {
+    d.push(new Array(n + 1).fill(i));
+  }
+  for (let i = 1; i <= m; i++) {
+    for (let j = 1; j <= n; j++) {
+      d[i][j] = Math.min(d[i - 1][j - 1] + (word[i - 1] === text[j - 1] ? 0 : 1), d[i - 1][j] + 1, d[i][j - 1] + 1);
+    }
+  }
+
+  let j = 0;
+  for (let k = 1; k <= n; k++) if (d[m][k] < d[m][j]) j = k;
+  const matched = [];
+  let i = m;
+  while (i > 0 && j > 0) {
+    const same = word[i - 1] === text[j - 1];
+    if (d[i][j] === d[i - 1][j - 1] + (same ? 0 : 1)) {
+      if (same) matched.push(j - 1);
+      i--;
+      j--;
+    } else if (d[i][j] === d[i - 1][j] + 1) {
+      i--;
+    } else {
+      j--;
+    }
+  }
+  return matched;
+}
+
+/* ============================================================
+   Filter builder trees — conditions in nested AND / OR groups.
+   Conditions name their column, so a saved preset fits any file
+   with those columns.
+     group:     {op: 'and' | 'or', items: [group | condition]}
+     condition: {column, op, value}; value is a string, [from,
+                to] for 'between', and unused by the operators
+                in FILTER_VALUELESS
+   The operators a condition may use follow its column's type,
+   see filterOperatorKind. Text operators ignore case; number
+   and date ones read values like column filters do.
+   ============================================================ */
+const FILTER_OPERATORS = {
+  text: ['contains', 'not-contains', 'equals', 'not-equals', 'starts-with', 'ends-with', 'empty', 'not-empty'],
+  number: ['=', '!=', '>', '>=', '<', '<=', 'between', 'empty', 'not-empty'],
+  date: ['on', 'before', 'after', 'between', 'empty', 'not-empty'],
+  boolean: ['true', 'false', 'empty', 'not-empty'],
+};
+
+const FILTER_VALUELESS = ['empty', 'not-empty', 'true', 'false'];
+
+// Column filter expression each number / date operator stands for
+const FILTER_EXPRESSIONS = {
+  '=': '=', '!=': '!=', '>': '>', '>=': '>=', '<': '<', '<=': '<=', on: '=', before: '<', after: '>',
+};
+
+function filterOperatorKind(type) {
+  if (isNumericType(type)) return 'number';
+  if (type === 'date' || type === 'boolean') return type;
+  return 'text';
+}
+
+/* compileFilterTree(tree, headers, colTypes, options)
+   options: {decimal, dateFormats} as for filterRows.
+   Returns {match: row → boolean, problems: Map(condition →
+   message)}. Conditions with a problem (no such column, an
+   operator that doesn't fit the type, a value that doesn't
+   read) are left out, as are ones still missing a value; so
+   are groups left empty, which is how an empty tree matches
+   every row. */
+function compileFilterTree(tree, headers, colTypes, options) {
+  const opts = options || {};
+  const problems = new Map();
+
+  function compileGroup(group) {
+    const parts = (group.items || []).map(item => (Array.isArray(item.items) ? compileGroup(item) : compileCondition(item)))
+      .filter(Boolean);
+    if (parts.length === 0) return null;
+    if (parts.length === 1) return parts[0];
+    return group.op === 'or' ? row => parts.some(p => p(row)) : row => parts.every(p => p(row));
+  }
+
+  function compileCondition(cond) {
+    const c = (headers || []).indexOf(cond.column);
+    if (c < 0) {
+      problems.set(cond, cond.column ? `No column named "${cond.column}"` : 'Pick a column');
+      return null;
+    }
+    const type = colTypes && colTypes[c];
+    const kind = filterOperatorKind(type);
+    if (!FILTER_OPERATORS[kind].includes(cond.op)) {
+      problems.set(cond, `"${cond.op}" doesn't apply to ${kind} columns`);
+      return null;
+    }
+    const test = conditionTest(cond, type, kind, opts.dateFormats && opts.dateFormats[c], opts.decimal, problems);
+    return test && (row => test(row[c] == null ? '' : row[c]));
+  }
+
+  const match = compileGroup(tree || {}) || (() => true);
+  return { match, problems };
+}
+
+// cell → boolean for one condition, or null when it's left out
+function conditionTest(cond, type, kind, dateFormat, decimal, problems) {
+  const { op } = cond;
+  if (op === 'empty') return cell => cell.trim() === '';
+  if (op === 'not-empty') return cell => cell.trim() !== '';
+  if (op === 'true' || op === 'false') return cell => parseBooleanCell(cell) === (op === 'true');
+
+  let expr;
+  if (op === 'between') {
+    const [from, to] = (Array.isArray(cond.value) ? cond.value : []).map(v => String(v == null ? '' : v).trim());
+    if (!from && !to) return null;
+    expr = `${from || ''}..${to || ''}`;
+  } else {
+    const value = String(cond.value == null ? '' : cond.value).trim();
+    if (value === '') return null;
+    if (kind === 'text') {
+      const wanted = value.toLowerCase();
+      const text = cell => cell.trim().toLowerCase();
+      return {
+        contains: cell => text(cell).includes(wanted),
+        'not-contains': cell => !text(cell).includes(wanted),
+        equals: cell => text(cell) === wanted,
+        'not-equals': cell => text(cell) !== wanted,
+        'starts-with': cell => text(cell).startsWith(wanted),
+        'ends-with': cell => text(cell).endsWith(wanted),
+      }[op];
+    }
+    expr = FILTER_EXPRESSIONS[op] + value;
+  }
+
+  // Number inputs give "1.5" whatever the file's decimal mark
+  const { match, error } = compileColumnFilter(expr, type, { decimal, valueDecimal: '.', dateFormat });
+  if (error) {
+    problems.set(cond, error);
+    return null;
+  }
+  return match;
+}
+
+// Checks a filter tree parsed from JSON and returns it cleaned up;
+// throws an Error naming the first problem. Columns and operators
+// aren't checked against any table here — compileFilterTree
+// reports those for the table at hand.
+function normalizeFilterTree(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input) || !Array.isArray(input.items)) {
+    throw new Error('A filter group needs an "items" list');
+  }
+  if (input.op !== 'and' && input.op !== 'or') throw new Error('A filter group\'s "op" must be "and" or "or"');
+
+  const items = input.items.map(item => {
+    if (item && Array.isArray(item.items)) return normalizeFilterTree(item);
+    if (!item || typeof item !== 'object' || typeof item.column !== 'string') {
+      throw new Error('Each condition needs a "column" name');
+    }
+    const ops = [].concat(...Object.values(FILTER_OPERATORS));
+    if (!ops.includes(item.op)) throw new Error(`Unknown operator "${item.op}" for "${item.column}"`);
+    if (FILTER_VALUELESS.includes(item.op)) return { column: item.column, op: item.op };
+    if (item.op === 'between') {
+      if (!Array.isArray(item.value) || item.value.length !== 2 || !item.value.every(v => typeof v === 'string')) {
+        throw new Error(`"between" for "${item.column}" takes a [from, to] pair of strings`);
+      }
+      return { column: item.column, op: item.op, value: item.value.slice() };
+    }
+    if (typeof item.value !== 'string') throw new Error(`The value for "${item.column}" must be a string`);
+    return { column: item.column, op: item.op, value: item.value };
+  });
+  return { op: input.op, items };
+}
+
+// {presets: [{name, filter}]} — the file presets are exported to.
+// Returns the list; throws like normalizeFilterTree.
+function parseFilterPresetsJSON(text) {
+  let input;
+  try {
+    input = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Not valid JSON (${err.message})`);
+  }
+  const presets = input && typeof input === 'object' ? input.presets : null;
+  if (!Array.isArray(presets)) throw new Error('Expected an object with a "presets" list');
+  return presets.map(preset => {
+    if (!preset || typeof preset.name !== 'string' || preset.name.trim() === '') {
+      throw new Error('Each preset needs a "name"');
+    }
+    try {
+      return { name: preset.name.trim(), filter: normalizeFilterTree(preset.filter) };
+    } catch (err) {
+      throw new Error(`Preset "${preset.name}": ${err.message}`);
+    }
   });
 }
 
 /* ============================================================
    Pure sort — returns new sorted array, no side effects
+   keys: [{col, dir: 'asc'|'desc'}] in priority order — rows
+   tied on the first key are ordered by the second, and so on;
+   rows tied on every key keep their order. One key can also be
+   given as (rows, sortCol, sortDir, colTypes, options).
+   options: {decimal, dateFormats} as for filterRows
    ============================================================ */
-function sortRows(rows, sortCol, sortDir, colTypes) {
-  if (sortCol < 0 || sortDir === 'none') return rows;
-  const type = (colTypes && colTypes[sortCol]) || 'string';
+function sortRows(rows, keys, ...rest) {
+  if (!Array.isArray(keys)) {
+    const [sortDir, colTypes, options] = rest;
+    return sortRows(rows, [{ col: keys, dir: sortDir }], colTypes, options);
+  }
+  const [colTypes, options] = rest;
+  const active = keys.filter(k => k.col >= 0 && (k.dir === 'asc' || k.dir === 'desc'));
+  if (active.length === 0) return rows;
 
+  const comparators = active.map(({ col, dir }) => {
+    const compare = columnComparator(rows, col, (colTypes && colTypes[col]) || 'string', options);
+    return dir === 'asc' ? compare : (a, b) => -compare(a, b);
+  });
   return rows.slice().sort((a, b) => {
-    const av = (a[sortCol] == null ? '' : a[sortCol]).trim();
-    const bv = (b[sortCol] == null ? '' : b[sortCol]).trim();
-
-    let cmp;
-    if (type === 'number') {
-      const an = parseFloat(av.replace(/,/g, ''));
-      const bn = parseFloat(bv.replace(/,/g, ''));
-      cmp = (isNaN(an) ? -Infinity : an) - (isNaN(bn) ? -Infinity : bn);
-    } else if (type === 'date') {
-      const ad = Date.parse(av);
-      const bd = Date.parse(bv);
-      cmp = (isNaN(ad) ? -Infinity : ad) - (isNaN(bd) ? -Infinity : bd);
+    for (const compare of comparators) {
+      const cmp = compare(a, b);
+      if (cmp !== 0) return cmp;
+    }
+    return 0;
+  });
+}
+
+// Ascending comparison of two rows on column col, read as type
+function columnComparator(rows, col, type, options) {
+  const decimal = (options && options.decimal) || '.';
+  const cell = row => (row[col] == null ? '' : row[col]).trim();
+
+  if (isNumericType(type)) {
+    return (a, b) => {
+      const an = parseNumericCell(cell(a), decimal);
+      const bn = parseNumericCell(cell(b), decimal);
+      return byNumber(isNaN(an) ? -Infinity : an, isNaN(bn) ? -Infinity : bn);
+    };
+  }
+  if (type === 'boolean') {
+    // false before true; anything else before both
+    const rank = v => { const b = parseBooleanCell(v); return b === null ? 0 : b ? 2 : 1; };
+    return (a, b) => rank(cell(a)) - rank(cell(b));
+  }
+  if (type === 'date') {
+    // Dates are parsed once up front rather than on every comparison
+    const dateFormat = columnDateFormat(rows, col, options);
+    const dates = new Map(rows.map(r => [r, parseDateCell(r[col], dateFormat)]));
+    return (a, b) => {
+      const ad = dates.get(a);
+      const bd = dates.get(b);
+      return byNumber(isNaN(ad) ? -Infinity : ad, isNaN(bd) ? -Infinity : bd);
+    };
+  }
+  return (a, b) => cell(a).localeCompare(cell(b), undefined, { sensitivity: 'base', numeric: true });
+}
+
+// Two unparseable cells tie: -Infinity - -Infinity is NaN, which
+// would stop a tie falling through to the next key
+function byNumber(a, b) {
+  return a === b ? 0 : a - b;
+}
+
+/* ============================================================
+   Display formatting — what a cell shows for its column type.
+   The data itself is never changed; filtering, sorting and a
+   raw export still see the original text.
+   options: {decimal, dateFormat} as for filterRows, plus the
+   column's display settings:
+     decimals   digits after the mark; null keeps the cell's own
+     thousands  group separator; '' for none. Defaults to the
+                locale's (',' or '.'), except integer columns,
+                which are often ids, codes or years
+     dateStyle  one of DATE_STYLES; null shows dates as written
+   Cells that don't parse as their type are shown unchanged, as
+   are integers until decimals or thousands is set — and even
+   then ones with leading zeros or too many digits for a Number
+   to hold exactly, so zip codes and long ids stay as written.
+   ============================================================ */
+const DATE_STYLES = ['iso', 'dmy', 'mdy', 'long'];
+
+const MONTH_ABBREVIATIONS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function formatCell(val, type, options) {
+  const raw = val == null ? '' : String(val);
+  const opts = options || {};
+  if (raw.trim() === '') return raw;
+
+  if (isNumericType(type)) {
+    const n = parseNumericCell(raw, opts.decimal);
+    if (isNaN(n)) return raw;
+    if (type === 'integer' && ((opts.decimals == null && opts.thousands == null)
+      || !Number.isSafeInteger(n) || /^[-+]?0\d/.test(raw.trim()))) return raw;
+    const text = formatNumber(n, raw, type, opts);
+    if (type === 'percent') return text + '%';
+    if (type === 'currency') return withCurrencySymbol(raw, text);
+    return text;
+  }
+  if (type === 'date' && opts.dateStyle) {
+    const t = parseDateCell(raw, opts.dateFormat);
+    return isNaN(t) || Math.abs(t) >= 8.64e15 ? raw : formatDate(t, opts.dateStyle);
+  }
+  if (type === 'boolean') {
+    const b = parseBooleanCell(raw);
+    return b === null ? raw : b ? '✓' : '✗';
+  }
+  return raw;
+}
+
+function formatNumber(n, raw, type, opts) {
+  const mark = opts.decimal === ',' ? ',' : '.';
+  const sep = opts.thousands != null ? opts.thousands
+    : type === 'integer' ? '' : mark === ',' ? '.' : ',';
+  let digits = opts.decimals;
+  if (digits == null) {
+    if (!isFinite(n) || /e/i.test(raw)) return String(n);
+    const fraction = raw.match(mark === ',' ? /,(\d+)/ : /\.(\d+)/);
+    digits = fraction ? fraction[1].length : 0;
+  }
+  const fixed = Math.abs(n).toFixed(digits);
+  const [int, frac] = fixed.split('.');
+  const sign = n < 0 && Number(fixed) !== 0 ? '-' : '';
+  return sign + (sep ? int.replace(/\B(?=(\d{3})+(?!\d))/g, sep) : int) + (frac ? mark + frac : '');
+}
+
+// Puts the cell's own symbol back where it was: $1,200.00 / 1.200,00 €
+function withCurrencySymbol(raw, text) {
+  const symbol = (raw.match(/[$€£¥₹]/) || [])[0];
+  if (!symbol) return text;
+  if (raw.indexOf(symbol) > raw.search(/\d/)) return `${text} ${symbol}`;
+  return text[0] === '-' ? `-${symbol}${text.slice(1)}` : symbol + text;
+}
+
+// Dates are shown in UTC, the same clock parseDateCell reads them on;
+// a time is only added when there is one
+function formatDate(t, style) {
+  const d = new Date(t);
+  const pad = n => String(n).padStart(2, '0');
+  const year = String(d.getUTCFullYear()).padStart(4, '0');
+  const month = pad(d.getUTCMonth() + 1);
+  const day = pad(d.getUTCDate());
+  let text;
+  if (style === 'dmy') text = `${day}/${month}/${year}`;
+  else if (style === 'mdy') text = `${month}/${day}/${year}`;
+  else if (style === 'long') text = `${d.getUTCDate()} ${MONTH_ABBREVIATIONS[d.getUTCMonth()]} ${year}`;
+  else text = `${year}-${month}-${day}`;
+
+  if (t % 86400000 === 0) return text;
+  const seconds = d.getUTCSeconds();
+  return `${text} ${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}${seconds ? ':' + pad(seconds) : ''}`;
+}
+
+// Link target for url and email cells, or null. Only http(s) and
+// mailto links are made, so a javascript: or data: cell stays text.
+function cellLinkHref(val, type) {
+  const s = String(val == null ? '' : val).trim();
+  if (type === 'email') return EMAIL_RE.test(s) ? `mailto:${s}` : null;
+  if (type === 'url' && URL_RE.test(s)) return /^www\./i.test(s) ? `https://${s}` : s;
+  return null;
+}
+
+/* ============================================================
+   Column profile — a summary of column c over the given rows
+   (the app passes the filtered view, so it follows filters).
+   options: {decimal, dateFormat} as for filterRows, and
+   topCount (5) / bins (10) for the lists below.
+   Returns {
+     count, empty, distinct, invalid — cells in total, blank,
+       different non-blank values, values that don't read as
+       the numeric or date type (or are dates past the range a
+       Date can hold, as with formatCell)
+     top:   [{value, count}] most frequent values first
+     stats: {min, max, mean, median, stddev} for numeric types
+     range: {min, max} in ms for dates
+     histogram: [{from, to, count}] for numbers and dates
+   } — stats, range and histogram are null when they don't apply
+   ============================================================ */
+function profileColumn(rows, c, type, options) {
+  const opts = options || {};
+  const counts = new Map();
+  const numbers = [];
+  let empty = 0;
+  let invalid = 0;
+
+  for (const row of rows) {
+    const val = (row[c] == null ? '' : row[c]).trim();
+    if (val === '') { empty++; continue; }
+    counts.set(val, (counts.get(val) || 0) + 1);
+
+    if (isNumericType(type) || type === 'date') {
+      const n = type === 'date' ? parseDateCell(val, opts.dateFormat) : parseNumericCell(val, opts.decimal);
+      if (isNaN(n) || (type === 'date' && Math.abs(n) >= 8.64e15)) invalid++;
+      else numbers.push(n);
+    }
+  }
+
+  const top = Array.from(counts, ([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+    .slice(0, opts.topCount || 5);
+
+  const profile = {
+    count: rows.length, empty, distinct: counts.size, invalid, top,
+    stats: null, range: null, histogram: null,
+  };
+  if (numbers.length === 0) return profile;
+
+  numbers.sort((a, b) => a - b);
+  const min = numbers[0];
+  const max = numbers[numbers.length - 1];
+  if (type === 'date') {
+    profile.range = { min, max };
+  } else {
+    const mean = numbers.reduce((sum, n) => sum + n, 0) / numbers.length;
+    const mid = numbers.length >> 1;
+    const median = numbers.length % 2 ? numbers[mid] : (numbers[mid - 1] + numbers[mid]) / 2;
+    // Sample standard deviation; a single value has none to speak of
+    const variance = numbers.length > 1
+      ? numbers.reduce((sum, n) => sum + (n - mean) ** 2, 0) / (numbers.length - 1)
+      : 0;
+    profile.stats = { min, max, mean, median, stddev: Math.sqrt(variance) };
+  }
+  profile.histogram = histogram(numbers, min, max, opts.bins || 10);
+  return profile;
+}
+
+// Equal-width bins from min to max; the last bin includes max
+function histogram(numbers, min, max, bins) {
+  if (min === max) return [{ from: min, to: max, count: numbers.length }];
+  const width = (max - min) / bins;
+  const result = Array.from({ length: bins }, (_, i) => ({
+    from: min + i * width,
+    to: i === bins - 1 ? max : min + (i + 1) * width,
+    count: 0,
+  }));
+  for (const n of numbers) result[Math.min(bins - 1, Math.floor((n - min) / width))].count++;
+  return result;
+}
+
+/* ============================================================
+   Validation rules — declared per column by header name, so a
+   saved set applies to next month's file with the same columns:
+     { required: true, type: 'integer', pattern: '^[A-Z]{3}$',
+       min: 0, max: 100, allowed: ['a', 'b'], unique: true }
+   Empty cells are only checked by required. pattern is searched
+   for anywhere in the cell; anchor it to match the whole value.
+   ============================================================ */
+const RULE_KEYS = ['required', 'type', 'pattern', 'min', 'max', 'allowed', 'unique'];
+
+// Checks rules parsed from JSON and returns them cleaned up;
+// throws an Error naming the first problem
+function normalizeRules(input) {
+  const columns = input && typeof input === 'object' && !Array.isArray(input) ? input.columns : null;
+  if (!columns || typeof columns !== 'object' || Array.isArray(columns)) {
+    throw new Error('Expected an object with a "columns" object');
+  }
+
+  const rules = {};
+  for (const [name, rule] of Object.entries(columns)) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) throw new Error(`Rules for "${name}" must be an object`);
+    const clean = {};
+    for (const [key, value] of Object.entries(rule)) {
+      if (!RULE_KEYS.includes(key)) throw new Error(`Unknown rule "${key}" for "${name}"`);
+      if (value == null) continue;
+      if ((key === 'required' || key === 'unique') && typeof value !== 'boolean') {
+        throw new Error(`"${key}" for "${name}" must be true or false`);
+      }
+      if (key === 'type' && !COLUMN_TYPES.includes(value)) throw new Error(`Unknown type "${value}" for "${name}"`);
+      if ((key === 'min' || key === 'max') && typeof value !== 'number') {
+        throw new Error(`"${key}" for "${name}" must be a number`);
+      }
+      if (key === 'pattern') {
+        try { new RegExp(value); } catch (err) { throw new Error(`Bad pattern for "${name}": ${err.message}`); }
+      }
+      if (key === 'allowed' && !(Array.isArray(value) && value.every(v => typeof v === 'string'))) {
+        throw new Error(`"allowed" for "${name}" must be a list of strings`);
+      }
+      clean[key] = value;
+    }
+    if (Object.keys(clean).length > 0) rules[name] = clean;
+  }
+  return rules;
+}
+
+function parseRulesJSON(text) {
+  let input;
+  try {
+    input = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Not valid JSON (${err.message})`);
+  }
+  return normalizeRules(input);
+}
+
+// Whether a non-empty cell reads as the given column type
+function cellHasType(val, type, decimal, dateFormat) {
+  if (type === 'integer') return Number.isInteger(parseNumericCell(val, decimal));
+  if (isNumericType(type)) return !isNaN(parseNumericCell(val, decimal));
+  if (type === 'date') return !isNaN(parseDateCell(val, dateFormat));
+  if (type === 'boolean') return parseBooleanCell(val) !== null;
+  if (type === 'email') return EMAIL_RE.test(val);
+  if (type === 'url') return URL_RE.test(val);
+  if (type === 'empty') return false;
+  return true;
+}
+
+/* ============================================================
+   validateRows — checks every row against the rules.
+   options: {decimal, dateFormats} as for filterRows; a type
+   rule for dates reads them with the column's date format.
+   Returns {rows: Map(row → {col: message}) for rows with a
+   broken rule, cellCount}; rows are the data arrays themselves,
+   so a filtered or sorted view can look its rows up directly.
+   ============================================================ */
+function validateRows(data, headers, rules, options) {
+  const opts = options || {};
+  const decimal = opts.decimal || '.';
+  const rows = new Map();
+  let cellCount = 0;
+
+  const flag = (row, c, message) => {
+    let cells = rows.get(row);
+    if (!cells) { cells = {}; rows.set(row, cells); }
+    if (!(c in cells)) cellCount++;
+    cells[c] = cells[c] ? `${cells[c]}; ${message}` : message;
+  };
+
+  headers.forEach((h, c) => {
+    const rule = rules && rules[h];
+    if (!rule) return;
+    const pattern = rule.pattern ? new RegExp(rule.pattern) : null;
+    const allowed = rule.allowed ? new Set(rule.allowed) : null;
+    const dateFormat = rule.type === 'date' ? columnDateFormat(data, c, { ...opts, header: h }) : null;
+    const seen = rule.unique ? new Map() : null;
+
+    for (const row of data) {
+      const val = (row[c] == null ? '' : row[c]).trim();
+      if (val === '') {
+        if (rule.required) flag(row, c, 'Required');
+        continue;
+      }
+      if (rule.type && !cellHasType(val, rule.type, decimal, dateFormat)) flag(row, c, `Expected ${rule.type}`);
+      if (pattern && !pattern.test(val)) flag(row, c, `Doesn't match ${rule.pattern}`);
+      if (rule.min != null || rule.max != null) {
+        const n = parseNumericCell(val, decimal);
+        if (isNaN(n)) flag(row, c, 'Not a number');
+        else if (rule.min != null && n < rule.min) flag(row, c, `Below ${rule.min}`);
+        else if (rule.max != null && n > rule.max) flag(row, c, `Above ${rule.max}`);
+      }
+      if (allowed && !allowed.has(val)) flag(row, c, 'Not an allowed value');
+      if (seen) {
+        const first = seen.get(val);
+        if (first === undefined) seen.set(val, row);
+        else {
+          // Every copy is flagged, the first one too
+          if (first !== null) flag(first, c, 'Duplicate');
+          seen.set(val, null);
+          flag(row, c, 'Duplicate');
+        }
+      }
+    }
+  });
+
+  return { rows, cellCount };
+}
+
+/* ============================================================
+   Schema generation — describeColumns summarises every row of
+   each column, and the schemaTo* functions write that out as a
+   JSON Schema, an SQL CREATE TABLE or a TypeScript interface.
+   The schemas describe the values the cells stand for: "$1,200"
+   is a number, "15/04/2020" a date. A column with any value
+   that doesn't read as its type is described as text instead,
+   so loading the file as-is can't fail on it.
+   ============================================================ */
+const SQL_DIALECTS = ['postgresql', 'sqlite', 'mysql'];
+
+// options: {decimal, dateFormats} as for filterRows
+// Returns [{name, type, nullable, maxLength, invalid, hasTime,
+//           min, max, precision, scale}] — the last five only
+//           where they apply, else null
+function describeColumns(headers, data, colTypes, options) {
+  const opts = options || {};
+  const decimal = opts.decimal || '.';
+
+  return headers.map((name, c) => {
+    const type = (colTypes && colTypes[c]) || 'string';
+    const dateFormat = type === 'date' ? columnDateFormat(data, c, { ...opts, header: name }) : null;
+    const col = {
+      name, type, nullable: false, maxLength: 0, invalid: 0,
+      hasTime: null, min: null, max: null, precision: null, scale: null,
+    };
+    let intDigits = 0;
+    let scale = 0;
+    let exponent = false;
+
+    for (const row of data) {
+      const val = (row[c] == null ? '' : row[c]).trim();
+      if (val === '') { col.nullable = true; continue; }
+      col.maxLength = Math.max(col.maxLength, val.length);
+
+      if (isNumericType(type)) {
+        const n = parseNumericCell(val, decimal);
+        if (isNaN(n)) { col.invalid++; continue; }
+        col.min = col.min === null ? n : Math.min(col.min, n);
+        col.max = col.max === null ? n : Math.max(col.max, n);
+        if (/e/i.test(val) || !isFinite(n)) exponent = true;
+        const fraction = val.match(decimal === ',' ? /,(\d+)/ : /\.(\d+)/);
+        scale = Math.max(scale, fraction ? fraction[1].length : 0);
+        intDigits = Math.max(intDigits, String(Math.trunc(Math.abs(n))).length);
+      } else if (type === 'date') {
+        const t = parseDateCell(val, dateFormat);
+        if (isNaN(t)) col.invalid++;
+        else if (t % 86400000 !== 0 || dateFormat === 'epoch' || dateFormat === 'epoch-ms') col.hasTime = true;
+      } else if (type === 'boolean') {
+        if (parseBooleanCell(val) === null) col.invalid++;
+      }
+    }
+
+    if (type === 'date' && !col.hasTime) col.hasTime = false;
+    if (isNumericType(type) && !exponent && col.min !== null) {
+      col.scale = scale;
+      col.precision = Math.max(1, intDigits + scale);
+    }
+    return col;
+  });
+}
+
+// What a described column holds: integer, number, boolean, date,
+// datetime, string — or null for a column with no values at all
+function storedAs(col) {
+  if (col.type === 'empty' || (col.maxLength === 0 && col.nullable)) return 'null';
+  if (col.invalid > 0) return 'string';
+  if (col.type === 'integer') return 'integer';
+  if (isNumericType(col.type)) return 'number';
+  if (col.type === 'boolean') return 'boolean';
+  if (col.type === 'date') return col.hasTime ? 'datetime' : 'date';
+  return 'string';
+}
+
+// File name without extension, for titles and identifiers
+function schemaBaseName(name) {
+  return String(name || '').replace(/\.[^.]*$/, '').trim() || 'data';
+}
+
+function schemaToJSONSchema(columns, name) {
+  const properties = {};
+  for (const col of columns) {
+    const stored = storedAs(col);
+    let prop;
+    if (stored === 'null') prop = { type: 'null' };
+    else if (stored === 'date' || stored === 'datetime') {
+      prop = { type: 'string', format: stored === 'date' ? 'date' : 'date-time' };
+    } else if (stored === 'string') {
+      prop = { type: 'string', maxLength: col.maxLength };
+      if (col.invalid === 0 && col.type === 'email') prop.format = 'email';
+      if (col.invalid === 0 && col.type === 'url') prop.format = 'uri';
     } else {
-      cmp = av.localeCompare(bv, undefined, { sensitivity: 'base', numeric: true });
+      prop = { type: stored };
+      if (stored !== 'boolean') Object.assign(prop, { minimum: col.min, maximum: col.max });
     }
-    return sortDir === 'asc' ? cmp : -cmp;
+    if (col.nullable && stored !== 'null') prop.type = [prop.type, 'null'];
+    properties[col.name] = prop;
+  }
+
+  return JSON.stringify({
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: schemaBaseName(name),
+    type: 'object',
+    properties,
+    required: columns.filter(col => !col.nullable).map(col => col.name),
+  }, null, 2);
+}
+
+function schemaToSQL(columns, name, dialect) {
+  const quote = dialect === 'mysql'
+    ? id => '`' + id.replace(/`/g, '``') + '`'
+    : id => '"' + id.replace(/"/g, '""') + '"';
+  const table = schemaBaseName(name).toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '') || 'data';
+
+  const lines = columns.map(col => {
+    const type = sqlType(col, dialect);
+    return `  ${quote(col.name)} ${type}${col.nullable ? '' : ' NOT NULL'}`;
   });
+  return `CREATE TABLE ${quote(/^\d/.test(table) ? `t_${table}` : table)} (\n${lines.join(',\n')}\n);\n`;
+}
+
+function sqlType(col, dialect) {
+  const stored = storedAs(col);
+  const sqlite = dialect === 'sqlite';
+  const mysql = dialect === 'mysql';
+  switch (stored) {
+    case 'integer': {
+      if (sqlite) return 'INTEGER';
+      const big = col.min < -2147483648 || col.max > 2147483647;
+      return big ? 'BIGINT' : mysql ? 'INT' : 'INTEGER';
+    }
+    case 'number':
+      if (sqlite) return 'REAL';
+      if (col.precision !== null && col.precision <= (mysql ? 65 : 1000)) {
+        return `${mysql ? 'DECIMAL' : 'NUMERIC'}(${col.precision}, ${col.scale})`;
+      }
+      return mysql ? 'DOUBLE' : 'DOUBLE PRECISION';
+    case 'boolean':
+      return sqlite ? 'INTEGER' : 'BOOLEAN';
+    case 'date':
+      return sqlite ? 'TEXT' : 'DATE';
+    case 'datetime':
+      return sqlite ? 'TEXT' : mysql ? 'DATETIME' : 'TIMESTAMP';
+    case 'string': {
+      // MySQL rows are limited to 65,535 bytes — long text goes off-row
+      const length = Math.max(1, col.maxLength);
+      if (sqlite || (mysql && length > 16383)) return sqlite ? 'TEXT' : 'LONGTEXT';
+      return `VARCHAR(${length})`;
+    }
+    default:
+      return 'TEXT';
+  }
+}
+
+function schemaToTypeScript(columns, name) {
+  const words = schemaBaseName(name).match(/[A-Za-z0-9]+/g) || ['Data'];
+  let iface = words.map(w => w[0].toUpperCase() + w.slice(1)).join('');
+  if (/^\d/.test(iface)) iface = `T${iface}`;
+
+  const lines = [];
+  for (const col of columns) {
+    const stored = storedAs(col);
+    const key = /^[A-Za-z_$][\w$]*$/.test(col.name) ? col.name : JSON.stringify(col.name);
+    let type = stored === 'integer' || stored === 'number' ? 'number'
+      : stored === 'boolean' ? 'boolean'
+      : stored === 'null' ? 'null'
+      : 'string';
+    if (col.nullable && stored !== 'null') type += ' | null';
+
+    const note = stored === 'date' ? 'ISO 8601 date'
+      : stored === 'datetime' ? 'ISO 8601 date-time'
+      : stored === 'string' ? `Up to ${col.maxLength} characters`
+      : null;
+    if (note) lines.push(`  /** ${note} */`);
+    lines.push(`  ${key}: ${type};`);
+  }
+  return `export interface ${iface} {\n${lines.join('\n')}\n}\n`;
 }
 
 /* ============================================================
@@ -200,13 +2214,34 @@ function escapeCSVField(val) {
   return s;
 }
 
+/* ============================================================
+   Human-readable byte size — used for load progress
+   ============================================================ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let v = bytes / 1024;
+  let u = 0;
+  while (v >= 1024 && u < units.length - 1) { v /= 1024; u++; }
+  return `${v < 10 ? v.toFixed(1) : Math.round(v)} ${units[u]}`;
+}
+
 // Allow loading as a CommonJS module (Node.js) for testing,
 // while remaining a plain global script in the browser.
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
-    parseCSV, buildData, detectColTypes,
-    filterRows, sortRows,
+    detectEncoding, sniffDialect, createCSVParser, skipLeadingLines, parseCSV,
+    buildData, parseJSONRecords, buildDataFromRecords, rowsToTSV, pastedTextOptions,
+    unionTables, guessHasHeader, COLUMN_TYPES, isNumericType, parseNumericCell, parseBooleanCell,
+    detectDecimalMark, DATE_FORMATS, parseDateCell, detectDateFormat, detectColTypes,
+    filterRows, buildSearchIndex, searchNarrows, facetValues,
+    compileColumnFilter, compileSearchQuery, fuzzyHighlightRanges,
+    FILTER_OPERATORS, FILTER_VALUELESS, filterOperatorKind, compileFilterTree, normalizeFilterTree,
+    parseFilterPresetsJSON, sortRows,
+    DATE_STYLES, formatCell, cellLinkHref, profileColumn,
+    RULE_KEYS, normalizeRules, parseRulesJSON, validateRows,
+    SQL_DIALECTS, describeColumns, schemaToJSONSchema, schemaToSQL, schemaToTypeScript,
     buildPageList, getPageSlice, calcTotalPages,
-    escapeCSVField,
+    escapeCSVField, formatBytes,
   };
 }
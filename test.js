@@ -1,7 +1,14 @@
 'use strict';
 // lib.js must be loaded before this file.
-// All pure functions (parseCSV, buildData, detectColTypes, filterRows,
-// sortRows, buildPageList, getPageSlice, calcTotalPages, escapeCSVField)
+// All pure functions (detectEncoding, sniffDialect, createCSVParser,
+// parseCSV, buildData, parseJSONRecords, buildDataFromRecords, rowsToTSV,
+// unionTables, guessHasHeader, detectColTypes, parseNumericCell,
+// detectDecimalMark, parseDateCell, detectDateFormat, compileColumnFilter,
+// compileSearchQuery, fuzzyHighlightRanges, filterRows, buildSearchIndex,
+// searchNarrows, facetValues, compileFilterTree, parseFilterPresetsJSON,
+// sortRows, formatCell, cellLinkHref, profileColumn, parseRulesJSON, validateRows,
+// describeColumns, schemaToJSONSchema, schemaToSQL, schemaToTypeScript,
+// buildPageList, getPageSlice, calcTotalPages, escapeCSVField, formatBytes)
 // are available as globals.
 
 /* ============================================================
@@ -213,6 +220,138 @@ T.run('unquoted fields are trimmed', () => {
   assertEqual(rows[1], ['1', '2']);
 });
 
+T.run('header with quoted delimiter → sniffed dialect returned', () => {
+  const { rows, delim } = parseCSV('"Name, full";Age\n"Smith, J";40');
+  assertEqual(delim, ';');
+  assertEqual(rows[0], ['Name, full', 'Age']);
+});
+
+T.run('options override the sniffed dialect', () => {
+  const { rows } = parseCSV("'it\\'s',x\n'a;b',y", { delim: ',', quote: "'", escape: 'backslash' });
+  assertEqual(rows[0], ["it's", 'x']);
+  assertEqual(rows[1], ['a;b', 'y']);
+});
+
+/* ============================================================
+   detectEncoding
+   ============================================================ */
+T.group('detectEncoding');
+
+T.run('BOMs identify UTF-8, UTF-16 LE and UTF-16 BE', () => {
+  assertEqual(detectEncoding(Uint8Array.from([0xEF, 0xBB, 0xBF, 0x61])), 'utf-8');
+  assertEqual(detectEncoding(Uint8Array.from([0xFF, 0xFE, 0x61, 0x00])), 'utf-16le');
+  assertEqual(detectEncoding(Uint8Array.from([0xFE, 0xFF, 0x00, 0x61])), 'utf-16be');
+});
+
+T.run('UTF-16 LE without BOM detected from zero bytes', () => {
+  assertEqual(detectEncoding(Uint8Array.from([0x61, 0, 0x2C, 0, 0x62, 0, 0x0A, 0])), 'utf-16le');
+});
+
+T.run('valid UTF-8 vs single-byte encodings', () => {
+  assertEqual(detectEncoding(Uint8Array.from([0x63, 0x61, 0x66, 0xC3, 0xA9])), 'utf-8');
+  assertEqual(detectEncoding(Uint8Array.from([0x63, 0x61, 0x66, 0xE9])), 'iso-8859-1');
+  assertEqual(detectEncoding(Uint8Array.from([0x93, 0x61, 0x94])), 'windows-1252');
+});
+
+/* ============================================================
+   sniffDialect
+   ============================================================ */
+T.group('sniffDialect');
+
+T.run('delimiter inside quoted header is ignored', () => {
+  const d = sniffDialect('"Name, full";Age\n"Smith, J";40\n"Doe, A";31');
+  assertEqual(d.delim, ';');
+  assertEqual(d.confidence, 1);
+});
+
+T.run('prefers the delimiter with a consistent field count', () => {
+  assertEqual(sniffDialect('name;price\nA;1,5\nB;2\nC;3,25').delim, ';');
+});
+
+T.run('confidence reflects ragged records', () => {
+  const d = sniffDialect('a,b\n1,2\n3,4\n5');
+  assertEqual(d.delim, ',');
+  assertEqual(d.confidence, 0.75);
+});
+
+T.run('single-quote quoting and backslash escapes detected', () => {
+  assertEqual(sniffDialect("'a,b',c\n'1,2',3\n'x,y',z").quote, "'");
+  assertEqual(sniffDialect('a,b\n"say \\"hi\\"",1').escape, 'backslash');
+});
+
+T.run('no delimiter → comma with zero confidence', () => {
+  assertEqual(sniffDialect('single\nx\ny').confidence, 0);
+});
+
+/* ============================================================
+   createCSVParser
+   ============================================================ */
+T.group('createCSVParser');
+
+function parseInChunks(text, cuts) {
+  const parser = createCSVParser(sniffDialect(text).delim);
+  const rows = [];
+  let prev = 0;
+  for (const cut of [...cuts, text.length]) {
+    rows.push(...parser.push(text.slice(prev, cut)));
+    prev = cut;
+  }
+  rows.push(...parser.finish());
+  return rows;
+}
+
+T.run('push returns only completed rows; finish flushes the last', () => {
+  const parser = createCSVParser(',');
+  assertEqual(parser.push('a,b\n1,'), [['a', 'b']]);
+  assertEqual(parser.push('2'), []);
+  assertEqual(parser.finish(), [['1', '2']]);
+});
+
+T.run('every split point gives the same rows as parseCSV', () => {
+  const text = 'id,"note, long"\r\n1,"say ""hi""\nthere"\r\n2,  plain  \r\n';
+  const expected = parseCSV(text).rows;
+  for (let cut = 0; cut <= text.length; cut++) {
+    assertEqual(parseInChunks(text, [cut]), expected, `split at ${cut}`);
+  }
+});
+
+T.run('CRLF split across chunks does not produce an empty row', () => {
+  assertEqual(parseInChunks('a,b\r\n1,2', [4]), [['a', 'b'], ['1', '2']]);
+});
+
+T.run('unterminated quoted field is flushed by finish', () => {
+  const parser = createCSVParser(',');
+  assertEqual(parser.push('a,"open'), []);
+  assertEqual(parser.finish(), [['a', 'open']]);
+});
+
+/* ============================================================
+   parse diagnostics
+   ============================================================ */
+T.group('parse diagnostics');
+
+T.run('clean file → no warnings', () => {
+  assertEqual(parseCSV('a,b\n1,"x, y"\n2,z').warningCount, 0);
+});
+
+T.run('too few / too many fields reported with line and row', () => {
+  const { warnings } = parseCSV('a,b,c\n1,2\n3,4,5,6');
+  assertEqual(warnings.map(w => [w.type, w.line, w.col, w.row]), [
+    ['too-few-fields', 2, 1, 1],
+    ['too-many-fields', 3, 1, 2],
+  ]);
+});
+
+T.run('stray quote and text after closing quote', () => {
+  assertEqual(parseCSV('a,b\n1,5" screen').warnings[0].type, 'stray-quote');
+  assertEqual(parseCSV('a,b\n"x"y,1').warnings[0].type, 'text-after-quote');
+});
+
+T.run('unterminated quote points at the opening quote', () => {
+  const w = parseCSV('a,b\r\n1,"never closed\r\nmore').warnings;
+  assertEqual([w[0].type, w[0].line, w[0].col], ['unterminated-quote', 2, 3]);
+});
+
 /* ============================================================
    buildData
    ============================================================ */
@@ -244,19 +383,110 @@ T.run('headers-only (no data rows) → data is empty array', () => {
   assertEqual(data, []);
 });
 
+T.run('duplicate header names made unique', () => {
+  const { headers } = buildData([['value', 'value', 'id'], ['1', '2', '3']]);
+  assertEqual(headers, ['value', 'value (2)', 'id']);
+});
+
+T.run('hasHeader: false → all rows are data, columns named "Column N"', () => {
+  const { headers, data } = buildData([['1', '2'], ['3', '4']], { hasHeader: false });
+  assertEqual(headers, ['Column 1', 'Column 2']);
+  assertEqual(data.length, 2);
+});
+
+T.run('parseCSV skipLines drops banner lines', () => {
+  const { rows } = parseCSV('Report "draft\nid,name\n1,Alice', { skipLines: 1 });
+  assertEqual(rows, [['id', 'name'], ['1', 'Alice']]);
+});
+
+/* ============================================================
+   parseJSONRecords / buildDataFromRecords
+   ============================================================ */
+T.group('parseJSONRecords');
+
+T.run('JSON array and NDJSON give the same records', () => {
+  const expected = [{ a: 1 }, { a: 2 }];
+  assertEqual(parseJSONRecords('[{"a":1},{"a":2}]').records, expected);
+  assertEqual(parseJSONRecords('{"a":1}\n{"a":2}\n').records, expected);
+});
+
+T.run('NDJSON bad line → invalid-json warning', () => {
+  const { records, warnings } = parseJSONRecords('{"a":1}\nnope\n{"a":3}');
+  assertEqual(records.length, 2);
+  assertEqual(warnings[0].line, 2);
+});
+
+T.run('buildDataFromRecords flattens nested objects', () => {
+  const { headers, data } = buildDataFromRecords([{ id: 1, user: { name: 'Ann' } }, { id: 2, extra: [1] }]);
+  assertEqual(headers, ['id', 'user.name', 'extra']);
+  assertEqual(data, [['1', 'Ann', ''], ['2', '', '[1]']]);
+});
+
+/* ============================================================
+   rowsToTSV
+   ============================================================ */
+T.group('rowsToTSV');
+
+T.run('quotes cells with tabs and round-trips through parseCSV', () => {
+  const rows = [['name', 'note'], ['Ann', 'tab\there'], ['Bob', 'say "hi"']];
+  const text = rowsToTSV(rows);
+  assertEqual(text.split('\n')[1], 'Ann\t"tab\there"');
+  assertEqual(parseCSV(text).rows, rows);
+});
+
+/* ============================================================
+   unionTables
+   ============================================================ */
+T.group('unionTables');
+
+T.run('matches columns by name, blanks for missing cells', () => {
+  const { headers, data } = unionTables([
+    { name: 'jan.csv', headers: ['id', 'name'], data: [['1', 'Ann']] },
+    { name: 'feb.csv', headers: ['email', 'ID'], data: [['b@x.io', '2']] },
+  ]);
+  assertEqual(headers, ['id', 'name', 'email']);
+  assertEqual(data, [['1', 'Ann', ''], ['2', '', 'b@x.io']]);
+});
+
+T.run('sourceColumn names each row\'s file', () => {
+  const { headers, data } = unionTables([
+    { name: 'jan.csv', headers: ['id'], data: [['1']] },
+    { name: 'feb.csv', headers: ['id'], data: [['2']] },
+  ], { sourceColumn: true });
+  assertEqual(headers, ['id', 'Source file']);
+  assertEqual(data.map(r => r[1]), ['jan.csv', 'feb.csv']);
+});
+
+/* ============================================================
+   guessHasHeader
+   ============================================================ */
+T.group('guessHasHeader');
+
+T.run('text over numeric columns → header', () => {
+  assertEqual(guessHasHeader([['id', 'score'], ['1', '90'], ['2', '85']]), true);
+});
+
+T.run('numbers in first row of numeric columns → no header', () => {
+  assertEqual(guessHasHeader([['1', '90'], ['2', '85'], ['3', '70']]), false);
+});
+
+T.run('first-row value repeated in the column → no header', () => {
+  assertEqual(guessHasHeader([['Alice', 'Eng'], ['Bob', 'Eng'], ['Carol', 'Ops']]), false);
+});
+
 /* ============================================================
    detectColTypes
    ============================================================ */
 T.group('detectColTypes');
 
-T.run('all integers → number', () => {
+T.run('all integers → integer', () => {
   const types = detectColTypes(['n'], [['1'], ['2'], ['3'], ['42']]);
-  assertEqual(types[0], 'number');
+  assertEqual(types[0], 'integer');
 });
 
-T.run('all decimals → number', () => {
+T.run('all decimals → decimal', () => {
   const types = detectColTypes(['n'], [['1.5'], ['2.7'], ['-3.14']]);
-  assertEqual(types[0], 'number');
+  assertEqual(types[0], 'decimal');
 });
 
 T.run('all ISO dates → date', () => {
@@ -269,10 +499,10 @@ T.run('all plain strings → string', () => {
   assertEqual(types[0], 'string');
 });
 
-T.run('≥80% numbers → number (with some empty cells)', () => {
+T.run('≥80% numbers → integer (with some empty cells)', () => {
   const data = [['1'], ['2'], ['3'], ['4'], ['5'], ['6'], ['7'], ['8'], [''], ['']];
   const types = detectColTypes(['n'], data);
-  assertEqual(types[0], 'number');
+  assertEqual(types[0], 'integer');
 });
 
 T.run('<80% numbers → string', () => {
@@ -282,24 +512,74 @@ T.run('<80% numbers → string', () => {
   assertEqual(types[0], 'string');
 });
 
-T.run('numbers with comma separators → number', () => {
+T.run('numbers with comma separators → integer', () => {
   const types = detectColTypes(['n'], [['1,000'], ['2,500'], ['10,000']]);
-  assertEqual(types[0], 'number');
+  assertEqual(types[0], 'integer');
 });
 
-T.run('all-empty column → string', () => {
+T.run('all-empty column → empty', () => {
   const types = detectColTypes(['e'], [[''], [''], ['']]);
-  assertEqual(types[0], 'string');
+  assertEqual(types[0], 'empty');
 });
 
 T.run('multiple columns typed independently', () => {
   const data = [['1', 'hello', '2023-01-01'], ['2', 'world', '2023-06-15']];
   const types = detectColTypes(['num', 'str', 'date'], data);
-  assertEqual(types[0], 'number');
+  assertEqual(types[0], 'integer');
   assertEqual(types[1], 'string');
   assertEqual(types[2], 'date');
 });
 
+T.run('booleans, currency, percent, email, URL', () => {
+  const types = detectColTypes(['a', 'b', 'c', 'd', 'e'], [
+    ['true', '$1,200', '45%', 'ann@example.com', 'https://example.com'],
+    ['no', '€3.50', '3.5 %', 'bob@example.org', 'www.example.org'],
+  ]);
+  assertEqual(Object.values(types), ['boolean', 'currency', 'percent', 'email', 'url']);
+});
+
+T.run('parseNumericCell reads currency and percent values', () => {
+  assertEqual([parseNumericCell('$1,200'), parseNumericCell('45%'), parseNumericCell('(5)')], [1200, 45, -5]);
+});
+
+/* ============================================================
+   Number locale
+   ============================================================ */
+T.group('number locale');
+
+T.run('parseNumericCell reads decimal commas and trailing signs', () => {
+  assertEqual([parseNumericCell('1.234,56', ','), parseNumericCell('1 234,5', ','), parseNumericCell('7,5-', ',')],
+    [1234.56, 1234.5, -7.5]);
+});
+
+T.run('detectDecimalMark reads values, then the delimiter', () => {
+  assertEqual(detectDecimalMark([['Preis'], ['1.234,56']], ','), ',');
+  assertEqual(detectDecimalMark([['a'], ['1']], ';'), ',');
+  assertEqual(detectDecimalMark([['a'], ['1']], ','), '.');
+});
+
+/* ============================================================
+   Dates
+   ============================================================ */
+T.group('dates');
+
+T.run('parseDateCell reads 03/04/2020 by the given format', () => {
+  assertEqual(new Date(parseDateCell('03/04/2020', 'dmy')).toISOString(), '2020-04-03T00:00:00.000Z');
+  assertEqual(new Date(parseDateCell('03/04/2020', 'mdy')).toISOString(), '2020-03-04T00:00:00.000Z');
+  assert(isNaN(parseDateCell('15/04/2020', 'mdy')));
+});
+
+T.run('detectDateFormat picks one consistent format', () => {
+  assertEqual(detectDateFormat(['03/04/2020', '15/04/2020']), 'dmy');
+  assertEqual(detectDateFormat(['2020-04-15T10:00:00+02:00']), 'iso');
+  assertEqual(detectDateFormat(['1586946600'], { header: 'timestamp' }), 'epoch');
+});
+
+T.run('sortRows sorts day-first dates', () => {
+  const result = sortRows([['03/04/2020'], ['15/01/2020']], 0, 'asc', { 0: 'date' }, { dateFormats: { 0: 'dmy' } });
+  assertEqual(result.map(r => r[0]), ['15/01/2020', '03/04/2020']);
+});
+
 /* ============================================================
    filterRows
    ============================================================ */
@@ -369,6 +649,158 @@ T.run('null/undefined cells treated as empty string', () => {
   assertEqual(result.length, 1);
 });
 
+T.run('facets — only picked values pass', () => {
+  const result = filterRows(FDATA, FHEADERS, '', [], {}, { facets: [null, null, ['Manager']] });
+  assertEqual(result.map(r => r[0]), ['Diana']);
+});
+
+T.run('search index — same rows as without it', () => {
+  const searchIndex = buildSearchIndex(FDATA);
+  assertEqual(filterRows(FDATA, FHEADERS, 'ENGINEER 3', [], {}, { searchIndex }),
+    filterRows(FDATA, FHEADERS, 'engineer 3', []));
+});
+
+T.run('searchNarrows — only when the query extends plain words', () => {
+  assert(searchNarrows('eng', 'engi'), 'extended word');
+  assert(!searchNarrows('eng', 'en'), 'shortened');
+  assert(!searchNarrows('-eng', '-engi'), 'negated');
+});
+
+/* ============================================================
+   facetValues
+   ============================================================ */
+T.group('facetValues');
+
+T.run('distinct values with counts, most common first', () => {
+  assertEqual(facetValues(FDATA, 2), [
+    { value: 'Engineer', count: 2 }, { value: 'Designer', count: 1 }, { value: 'Manager', count: 1 },
+  ]);
+});
+
+/* ============================================================
+   Filter builder trees
+   ============================================================ */
+T.group('Filter builder trees');
+
+T.run('nested AND / OR groups', () => {
+  const data = [['Eng', '95000'], ['Design', '85000'], ['Eng', '60000'], ['Sales', '120000']];
+  const tree = {
+    op: 'and',
+    items: [
+      { op: 'or', items: [{ column: 'dept', op: 'equals', value: 'eng' }, { column: 'dept', op: 'equals', value: 'design' }] },
+      { column: 'salary', op: '>', value: '80000' },
+    ],
+  };
+  const result = filterRows(data, ['dept', 'salary'], '', [], { 1: 'integer' }, { filterTree: tree });
+  assertEqual(result.map(r => r[1]), ['95000', '85000']);
+});
+
+T.run('unknown column → problem, condition left out', () => {
+  const missing = { column: 'team', op: 'contains', value: 'x' };
+  const { match, problems } = compileFilterTree({ op: 'and', items: [missing] }, ['dept'], {});
+  assertEqual(problems.get(missing), 'No column named "team"');
+  assert(match(['anything']), 'left-out condition must not hide rows');
+});
+
+T.run('parseFilterPresetsJSON', () => {
+  const presets = parseFilterPresetsJSON('{"presets": [{"name": "All", "filter": {"op": "or", "items": []}}]}');
+  assertEqual(presets, [{ name: 'All', filter: { op: 'or', items: [] } }]);
+});
+
+/* ============================================================
+   compileColumnFilter
+   ============================================================ */
+T.group('compileColumnFilter');
+
+T.run('number comparisons and ranges', () => {
+  const values = ['50000', '90000', '120000'];
+  const matching = text => values.filter(compileColumnFilter(text, 'integer').match);
+  assertEqual(matching('>90000'), ['120000']);
+  assertEqual(matching('!=90000'), ['50000', '120000']);
+  assertEqual(matching('50000..90000'), ['50000', '90000']);
+});
+
+T.run('date before/after and ranges', () => {
+  const values = ['2018-06-01', '2019-01-01', '2021-03-15'];
+  const matching = text => values.filter(compileColumnFilter(text, 'date', { dateFormat: 'iso' }).match);
+  assertEqual(matching('before 2019-01-01'), ['2018-06-01']);
+  assertEqual(matching('2019-01-01..2020-12-31'), ['2019-01-01']);
+});
+
+T.run('invalid expression → error, every cell passes', () => {
+  const { match, error } = compileColumnFilter('>abc', 'integer');
+  assertEqual(error, 'Expected a number after >');
+  assert(match('1'), 'half-typed filter must not hide rows');
+});
+
+/* ============================================================
+   compileSearchQuery
+   ============================================================ */
+T.group('compileSearchQuery');
+
+const QHEADERS = ['name', 'department', 'salary'];
+const QDATA = [
+  ['Ann Lee', 'Engineering', '95000'],
+  ['Bob', 'Design', '70000'],
+  ['Dee', 'Sales', '120000'],
+];
+const queryNames = q => QDATA.filter(compileSearchQuery(q, QHEADERS, { 2: 'integer' }).match).map(r => r[0]);
+
+T.run('column:value, comparisons, phrases, exclusion', () => {
+  assertEqual(queryNames('department:design'), ['Bob']);
+  assertEqual(queryNames('salary:>90000'), ['Ann Lee', 'Dee']);
+  assertEqual(queryNames('"ann lee"'), ['Ann Lee']);
+  assertEqual(queryNames('-design'), ['Ann Lee', 'Dee']);
+});
+
+T.run('OR and parentheses', () => {
+  assertEqual(queryNames('(design OR sales) salary:>100000'), ['Dee']);
+});
+
+T.run('parse error → message, every row passes', () => {
+  const { match, error } = compileSearchQuery('(design', QHEADERS, {});
+  assertEqual(error, 'Missing )');
+  assertEqual(QDATA.filter(match).length, 3);
+});
+
+/* ============================================================
+   Search modes
+   ============================================================ */
+T.group('Search modes');
+
+const MDATA = [['Ann', 'IT'], ['Bob', 'Digital'], ['Cy', 'it support']];
+const modeNames = (q, mode) => MDATA.filter(compileSearchQuery(q, ['name', 'dept'], {}, { mode }).match).map(r => r[0]);
+
+T.run('whole word: IT does not match Digital', () => {
+  assertEqual(modeNames('IT', { wholeWord: true }), ['Ann', 'Cy']);
+});
+
+T.run('match case', () => {
+  assertEqual(modeNames('IT', { caseSensitive: true }), ['Ann']);
+});
+
+T.run('regex, and an invalid regex is an error', () => {
+  assertEqual(modeNames('^(ann|cy)$', { regex: true }), ['Ann', 'Cy']);
+  const { error } = compileColumnFilter('[', null, { mode: { regex: true } });
+  assert(error && error.includes('character class'), 'expected a regex error, got ' + error);
+});
+
+/* ============================================================
+   Fuzzy search
+   ============================================================ */
+T.group('Fuzzy search');
+
+T.run('typos match, best match first', () => {
+  const data = [['Ann Johnson'], ['Bob Jonson'], ['Cy Smith']];
+  const result = filterRows(data, ['name'], 'jonson', [], {}, { searchMode: { fuzzy: true } });
+  assertEqual(result.map(r => r[0]), ['Bob Jonson', 'Ann Johnson']);
+});
+
+T.run('fuzzyHighlightRanges', () => {
+  assertEqual(fuzzyHighlightRanges('Ann Johnson', 'jonson'), [[4, 6], [7, 11]]);
+  assertEqual(fuzzyHighlightRanges('Sales', 'jonson'), []);
+});
+
 /* ============================================================
    sortRows
    ============================================================ */
@@ -457,6 +889,96 @@ T.run('does not mutate input array', () => {
   assertEqual(orig[0], origFirst, 'original array was mutated');
 });
 
+T.run('currency column sorts by value', () => {
+  const data = [['$1,200'], ['$95'], ['($20)']];
+  assertEqual(sortRows(data, 0, 'asc', { 0: 'currency' }).map(r => r[0]), ['($20)', '$95', '$1,200']);
+});
+
+T.run('several keys — department, then salary descending', () => {
+  const data = [['Ann', 'Sales', '50000'], ['Bob', 'Eng', '70000'], ['Cat', 'Sales', '65000'], ['Dan', 'Eng', '90000']];
+  const result = sortRows(data, [{ col: 1, dir: 'asc' }, { col: 2, dir: 'desc' }], { 1: 'string', 2: 'integer' });
+  assertEqual(result.map(r => r[0]), ['Dan', 'Bob', 'Cat', 'Ann']);
+});
+
+/* ============================================================
+   formatCell
+   ============================================================ */
+T.group('formatCell');
+
+T.run('numbers, currency and booleans', () => {
+  assertEqual(formatCell('1234.5', 'decimal', { decimals: 2 }), '1,234.50');
+  assertEqual(formatCell('1.234,5', 'decimal', { decimal: ',' }), '1.234,5');
+  assertEqual(formatCell('$1,200', 'currency'), '$1,200');
+  assertEqual(formatCell('no', 'boolean'), '✗');
+});
+
+T.run('dates in the chosen style', () => {
+  assertEqual(formatCell('15/04/2020', 'date', { dateFormat: 'dmy', dateStyle: 'iso' }), '2020-04-15');
+});
+
+T.run('cellLinkHref refuses script URLs', () => {
+  assertEqual(cellLinkHref('javascript:alert(1)', 'url'), null);
+  assertEqual(cellLinkHref('www.example.org', 'url'), 'https://www.example.org');
+});
+
+/* ============================================================
+   profileColumn
+   ============================================================ */
+T.group('profileColumn');
+
+T.run('counts and top values', () => {
+  const p = profileColumn([['a'], ['b'], ['a'], ['']], 0, 'string');
+  assertEqual([p.count, p.empty, p.distinct], [4, 1, 2]);
+  assertEqual(p.top[0], { value: 'a', count: 2 });
+});
+
+T.run('numeric statistics and histogram', () => {
+  const p = profileColumn([['1'], ['2'], ['2'], ['11']], 0, 'integer', { bins: 2 });
+  assertEqual([p.stats.min, p.stats.max, p.stats.mean, p.stats.median], [1, 11, 4, 2]);
+  assertEqual(p.histogram.map(bin => bin.count), [3, 1]);
+});
+
+/* ============================================================
+   Validation rules
+   ============================================================ */
+T.group('validation rules');
+
+T.run('validateRows flags broken cells by row', () => {
+  const data = [['A1', '5'], ['', '500'], ['A1', 'x']];
+  const result = validateRows(data, ['code', 'n'], {
+    code: { required: true, unique: true },
+    n: { max: 100 },
+  });
+  assertEqual(result.rows.get(data[0]), { 0: 'Duplicate' });
+  assertEqual(result.rows.get(data[1]), { 0: 'Required', 1: 'Above 100' });
+  assertEqual(result.rows.get(data[2]), { 0: 'Duplicate', 1: 'Not a number' });
+  assertEqual(result.cellCount, 5);
+});
+
+T.run('parseRulesJSON rejects unknown rules', () => {
+  let message = null;
+  try { parseRulesJSON('{"columns": {"a": {"size": 3}}}'); } catch (err) { message = err.message; }
+  assertEqual(message, 'Unknown rule "size" for "a"');
+});
+
+/* ============================================================
+   Schema generation
+   ============================================================ */
+T.group('schema generation');
+
+T.run('nullable columns and string lengths', () => {
+  const cols = describeColumns(['id', 'name'], [['1', 'Ann'], ['2', '']], { 0: 'integer', 1: 'string' });
+  const schema = JSON.parse(schemaToJSONSchema(cols, 'people.csv'));
+  assertEqual(schema.properties.name, { type: ['string', 'null'], maxLength: 3 });
+  assertEqual(schema.required, ['id']);
+});
+
+T.run('SQL and TypeScript', () => {
+  const cols = describeColumns(['id', 'name'], [['1', 'Ann'], ['2', '']], { 0: 'integer', 1: 'string' });
+  assert(schemaToSQL(cols, 'people.csv', 'mysql').includes('`name` VARCHAR(3)\n'));
+  assert(schemaToTypeScript(cols, 'people.csv').includes('name: string | null;'));
+});
+
 /* ============================================================
    buildPageList
    ============================================================ */
@@ -596,6 +1118,21 @@ T.run('number value coerced to string', () => {
   assertEqual(escapeCSVField(42), '42');
 });
 
+/* ============================================================
+   formatBytes
+   ============================================================ */
+T.group('formatBytes');
+
+T.run('bytes below 1 KB shown as-is', () => {
+  assertEqual(formatBytes(1023), '1023 B');
+});
+
+T.run('KB / MB / GB with one decimal below 10', () => {
+  assertEqual(formatBytes(1536), '1.5 KB');
+  assertEqual(formatBytes(200 * 1024 * 1024), '200 MB');
+  assertEqual(formatBytes(3 * 1024 * 1024 * 1024), '3.0 GB');
+});
+
 /* ============================================================
    Integration tests
    ============================================================ */
@@ -607,8 +1144,8 @@ T.run('full pipeline: parse → build → filter → sort → paginate', () => {
   const { headers, data } = buildData(rows);
   const colTypes = detectColTypes(headers, data);
 
-  // colTypes[1] should be number
-  assertEqual(colTypes[1], 'number');
+  // colTypes[1] should be integer
+  assertEqual(colTypes[1], 'integer');
 
   // filter: score >= ... search for "8" → Alice(85), Charlie(91 no), Eve(85)
   let filtered = filterRows(data, headers, '8', []);
@@ -653,7 +1190,7 @@ T.run('detectColTypes handles mixed data gracefully', () => {
   // Column with 8 numbers and 2 strings → 80% threshold: exactly at boundary
   const data = Array.from({ length: 10 }, (_, i) => [i < 8 ? String(i) : 'text']);
   const types = detectColTypes(['c'], data);
-  assertEqual(types[0], 'number'); // 8/10 = 80% ≥ 0.8
+  assertEqual(types[0], 'integer'); // 8/10 = 80% ≥ 0.8
 });
 
 T.run('sortRows + filterRows together: filter then sort is independent of order', () => {
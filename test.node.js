@@ -3,10 +3,16 @@
 // Usage: node test.node.js
 
 const {
-  parseCSV, buildData, detectColTypes,
-  filterRows, sortRows,
-  buildPageList, getPageSlice, calcTotalPages,
-  escapeCSVField,
+  detectEncoding, sniffDialect, createCSVParser, skipLeadingLines, parseCSV,
+  buildData, parseJSONRecords, buildDataFromRecords, rowsToTSV, pastedTextOptions, unionTables,
+  guessHasHeader, detectColTypes, isNumericType, parseNumericCell, parseBooleanCell,
+  detectDecimalMark, parseDateCell, detectDateFormat, compileColumnFilter, compileSearchQuery,
+  fuzzyHighlightRanges, filterRows, buildSearchIndex, searchNarrows, facetValues,
+  filterOperatorKind, compileFilterTree,
+  normalizeFilterTree, parseFilterPresetsJSON, sortRows,
+  formatCell, cellLinkHref, profileColumn, parseRulesJSON, validateRows,
+  describeColumns, schemaToJSONSchema, schemaToSQL, schemaToTypeScript, buildPageList, getPageSlice, calcTotalPages,
+  escapeCSVField, formatBytes,
 } = require('./lib.js');
 
 /* ===== Minimal runner ===== */
@@ -129,6 +135,239 @@ t('unquoted fields are trimmed', () => {
   eq(rows[1], ['1', '2']);
 });
 
+t('header with quoted delimiter → sniffed dialect returned', () => {
+  const { rows, delim, dialect } = parseCSV('"Name, full";Age\n"Smith, J";40');
+  eq(delim, ';');
+  eq(dialect.confidence, 1);
+  eq(rows[0], ['Name, full', 'Age']);
+});
+
+t('options override the sniffed dialect', () => {
+  const { rows, delim } = parseCSV('a;b,c\n1;2,3', { delim: ',' });
+  eq(delim, ',');
+  eq(rows[0], ['a;b', 'c']);
+});
+
+t('single-quote and backslash-escape options', () => {
+  const { rows } = parseCSV("'it\\'s',x\n'a\\\\b',y", { quote: "'", escape: 'backslash' });
+  eq(rows[0], ["it's", 'x']);
+  eq(rows[1], ['a\\b', 'y']);
+});
+
+t('skipLines drops banner lines before parsing and sniffing', () => {
+  const { rows, delim } = parseCSV('Report; "draft\nGenerated today\nid,name\n1,Alice', { skipLines: 2 });
+  eq(delim, ',');
+  eq(rows, [['id', 'name'], ['1', 'Alice']]);
+});
+
+t('skipLines keeps physical line numbers in warnings', () => {
+  const { warnings } = parseCSV('banner\na,b\n1', { skipLines: 1 });
+  eq(warnings[0].line, 3);
+  eq(warnings[0].row, 1);
+});
+
+/* ===== detectEncoding ===== */
+console.log('\ndetectEncoding');
+
+const bytes = arr => Uint8Array.from(arr);
+const ascii = s => Array.from(s, ch => ch.charCodeAt(0));
+
+t('BOMs identify UTF-8, UTF-16 LE and UTF-16 BE', () => {
+  eq(detectEncoding(bytes([0xEF, 0xBB, 0xBF, ...ascii('a,b')])), 'utf-8');
+  eq(detectEncoding(bytes([0xFF, 0xFE, 0x61, 0x00])), 'utf-16le');
+  eq(detectEncoding(bytes([0xFE, 0xFF, 0x00, 0x61])), 'utf-16be');
+});
+
+t('UTF-16 without BOM detected from zero bytes', () => {
+  const le = ascii('id,name\n').flatMap(c => [c, 0]);
+  const be = ascii('id,name\n').flatMap(c => [0, c]);
+  eq(detectEncoding(bytes(le)), 'utf-16le');
+  eq(detectEncoding(bytes(be)), 'utf-16be');
+});
+
+t('plain ASCII and valid multi-byte sequences → UTF-8', () => {
+  eq(detectEncoding(bytes(ascii('a,b\n1,2'))), 'utf-8');
+  eq(detectEncoding(bytes([...ascii('caf'), 0xC3, 0xA9])), 'utf-8'); // café
+});
+
+t('UTF-8 sequence cut off at the end of the sample is tolerated', () => {
+  const long = new Uint8Array(70 * 1024).fill(0x61);
+  long[64 * 1024 - 1] = 0xC3;
+  long[64 * 1024] = 0xA9;
+  eq(detectEncoding(long), 'utf-8');
+});
+
+t('high byte at the very end of a short file is not UTF-8', () => {
+  eq(detectEncoding(bytes([...ascii('caf'), 0xE9])), 'iso-8859-1');
+});
+
+t('Latin-1 accented bytes → ISO-8859-1', () => {
+  eq(detectEncoding(bytes([...ascii('K'), 0xF6, ...ascii('ln,caf'), 0xE9])), 'iso-8859-1');
+});
+
+t('bytes 0x80–0x9F (smart quotes, €) → Windows-1252', () => {
+  eq(detectEncoding(bytes([0x93, ...ascii('Zo'), 0xEB, 0x94, ...ascii(',5 '), 0x80])), 'windows-1252');
+});
+
+/* ===== sniffDialect ===== */
+console.log('\nsniffDialect');
+
+t('delimiter inside quoted header is ignored', () => {
+  const d = sniffDialect('"Name, full";Age\n"Smith, J";40\n"Doe, A";31');
+  eq(d.delim, ';');
+  eq(d.confidence, 1);
+});
+
+t('prefers the delimiter with a consistent field count', () => {
+  // Decimal commas make ',' counts vary; ';' is constant
+  const d = sniffDialect('name;price\nA;1,5\nB;2\nC;3,25');
+  eq(d.delim, ';');
+});
+
+t('samples multiple lines, not just the header', () => {
+  eq(sniffDialect('title\na|b\nc|d\ne|f').delim, '|');
+});
+
+t('confidence reflects ragged records', () => {
+  const d = sniffDialect('a,b\n1,2\n3,4\n5');
+  eq(d.delim, ',');
+  eq(d.confidence, 0.75);
+});
+
+t('single-quote quoting detected', () => {
+  const d = sniffDialect("'a,b',c\n'1,2',3\n'x,y',z");
+  eq(d.quote, "'");
+  eq(d.delim, ',');
+});
+
+t('apostrophes in text do not switch the quote character', () => {
+  eq(sniffDialect("name,note\nO'Brien,it's fine\nSmith,ok").quote, '"');
+});
+
+t('backslash escape style detected', () => {
+  eq(sniffDialect('a,b\n"say \\"hi\\"",1').escape, 'backslash');
+  eq(sniffDialect('a,b\n"say ""hi""",1').escape, 'double');
+});
+
+t('no delimiter → comma with zero confidence', () => {
+  eq(sniffDialect('single\nx\ny'), { delim: ',', quote: '"', escape: 'double', confidence: 0 });
+  eq(sniffDialect('').confidence, 0);
+});
+
+/* ===== createCSVParser ===== */
+console.log('\ncreateCSVParser');
+
+// Feed text split at the given offsets, collecting every row emitted
+function parseInChunks(text, cuts) {
+  const parser = createCSVParser(sniffDialect(text).delim);
+  const rows = [];
+  let prev = 0;
+  for (const cut of [...cuts, text.length]) {
+    rows.push(...parser.push(text.slice(prev, cut)));
+    prev = cut;
+  }
+  rows.push(...parser.finish());
+  return rows;
+}
+
+t('push returns only completed rows; finish flushes the last', () => {
+  const parser = createCSVParser(',');
+  eq(parser.push('a,b\n1,'), [['a', 'b']]);
+  eq(parser.push('2'), []);
+  eq(parser.finish(), [['1', '2']]);
+});
+
+t('every split point gives the same rows as parseCSV', () => {
+  const text = 'id,"note, long"\r\n1,"say ""hi""\nthere"\r\n2,  plain  \r\n';
+  const expected = parseCSV(text).rows;
+  for (let cut = 0; cut <= text.length; cut++) {
+    eq(parseInChunks(text, [cut]), expected, `split at ${cut}`);
+  }
+});
+
+t('one character per chunk', () => {
+  const text = 'a;b\n"x;y";"q""q"\n';
+  const cuts = Array.from({ length: text.length }, (_, i) => i);
+  eq(parseInChunks(text, cuts), [['a', 'b'], ['x;y', 'q"q']]);
+});
+
+t('CRLF split across chunks does not produce an empty row', () => {
+  eq(parseInChunks('a,b\r\n1,2', [4]), [['a', 'b'], ['1', '2']]);
+});
+
+t('BOM stripped from first chunk only', () => {
+  eq(parseInChunks('\uFEFFa,b\n1,2', [5]), [['a', 'b'], ['1', '2']]);
+});
+
+t('unterminated quoted field is flushed by finish', () => {
+  const parser = createCSVParser(',');
+  eq(parser.push('a,"open'), []);
+  eq(parser.finish(), [['a', 'open']]);
+});
+
+/* ===== parse diagnostics ===== */
+console.log('\nparse diagnostics');
+
+t('clean file → no warnings', () => {
+  const { warnings, warningCount } = parseCSV('a,b\n1,"x, y"\n2,z');
+  eq(warnings, []);
+  eq(warningCount, 0);
+});
+
+t('too few / too many fields reported with line and row', () => {
+  const { warnings } = parseCSV('a,b,c\n1,2\n3,4,5,6');
+  eq(warnings.map(w => [w.type, w.line, w.col, w.row]), [
+    ['too-few-fields', 2, 1, 1],
+    ['too-many-fields', 3, 1, 2],
+  ]);
+  eq(warnings[0].message, 'Expected 3 fields, found 2');
+});
+
+t('stray quote inside unquoted field', () => {
+  const { warnings } = parseCSV('a,b\n1,5" screen');
+  eq(warnings.length, 1);
+  eq(warnings[0].type, 'stray-quote');
+  eq([warnings[0].line, warnings[0].col], [2, 4]);
+});
+
+t('text after closing quote', () => {
+  const w = parseCSV('a,b\n"x"y,1').warnings;
+  eq(w[0].type, 'text-after-quote');
+  eq([w[0].line, w[0].col], [2, 4]);
+});
+
+t('unterminated quote points at the opening quote', () => {
+  const w = parseCSV('a,b\r\n1,"never closed\r\nmore').warnings;
+  eq(w.length, 1);
+  eq(w[0].type, 'unterminated-quote');
+  eq([w[0].line, w[0].col, w[0].row], [2, 3, 1]);
+});
+
+t('line numbers count newlines inside quoted fields, CRLF once', () => {
+  const w = parseCSV('a,b\r\n"multi\r\nline",1\r\n2').warnings;
+  eq(w[0].line, 4);
+  eq(w[0].row, 2);
+});
+
+t('same warnings when the text arrives in chunks', () => {
+  const text = 'a,b\r\n1,"x"y\r\n2\r\n3,"open';
+  const expected = parseCSV(text).warnings;
+  for (let cut = 0; cut <= text.length; cut++) {
+    const parser = createCSVParser(',');
+    parser.push(text.slice(0, cut));
+    parser.push(text.slice(cut));
+    parser.finish();
+    eq(parser.warnings, expected, `split at ${cut}`);
+  }
+});
+
+t('stored warnings are capped but all are counted', () => {
+  const text = 'a,b\n' + '1\n'.repeat(1200);
+  const { warnings, warningCount } = parseCSV(text);
+  eq(warnings.length, 1000);
+  eq(warningCount, 1200);
+});
+
 /* ===== buildData ===== */
 console.log('\nbuildData');
 
@@ -158,15 +397,229 @@ t('headers-only (no data rows) → data is empty array', () => {
   eq(data, []);
 });
 
+t('duplicate header names made unique', () => {
+  const { headers } = buildData([['value', 'value', 'id', 'value'], ['1', '2', '3', '4']]);
+  eq(headers, ['value', 'value (2)', 'id', 'value (3)']);
+});
+
+t('generated name does not clash with an existing header', () => {
+  const { headers } = buildData([['a', 'a', 'a (2)']]);
+  eq(headers, ['a', 'a (3)', 'a (2)']);
+});
+
+t('hasHeader: false → all rows are data, columns named "Column N"', () => {
+  const { headers, data } = buildData([['1', '2'], ['3', '4', '5']], { hasHeader: false });
+  eq(headers, ['Column 1', 'Column 2', 'Column 3']);
+  eq(data.length, 2);
+});
+
+/* ===== skipLeadingLines ===== */
+console.log('\nskipLeadingLines');
+
+t('skips LF, CRLF and CR line breaks', () => {
+  eq(skipLeadingLines('a\r\nb\rc\nd', 3), 'd');
+});
+
+t('n = 0 → text unchanged; more lines than exist → empty', () => {
+  eq(skipLeadingLines('a\nb', 0), 'a\nb');
+  eq(skipLeadingLines('a\nb', 5), '');
+});
+
+/* ===== parseJSONRecords ===== */
+console.log('\nparseJSONRecords');
+
+t('JSON array of objects', () => {
+  const { records, warningCount } = parseJSONRecords('[{"a":1},{"a":2}]');
+  eq(records, [{ a: 1 }, { a: 2 }]);
+  eq(warningCount, 0);
+});
+
+t('envelope object → first array of objects', () => {
+  const { records } = parseJSONRecords('{"count":2,"tags":["x"],"items":[{"id":1},{"id":2}]}');
+  eq(records, [{ id: 1 }, { id: 2 }]);
+});
+
+t('NDJSON → one record per line, blank lines skipped', () => {
+  const { records } = parseJSONRecords('{"a":1}\r\n\n{"a":2}\n');
+  eq(records, [{ a: 1 }, { a: 2 }]);
+});
+
+t('NDJSON bad line → invalid-json warning with its line number', () => {
+  const { records, warnings, warningCount } = parseJSONRecords('{"a":1}\n{"a":\n{"a":3}');
+  eq(records.length, 2);
+  eq(warningCount, 1);
+  eq([warnings[0].type, warnings[0].line, warnings[0].row], ['invalid-json', 2, null]);
+});
+
+t('NDJSON of array rows → one record per line', () => {
+  const { records, warningCount } = parseJSONRecords('[1,"a"]\n[2,"b"]\n');
+  eq(records, [[1, 'a'], [2, 'b']]);
+  eq(warningCount, 0);
+});
+
+t('broken pretty-printed array throws, not read as NDJSON', () => {
+  let err = null;
+  try { parseJSONRecords('[\n  {"a":1},\n  {"a":2}\n'); } catch (e) { err = e; }
+  ok(err instanceof SyntaxError);
+  ok(!/NDJSON/.test(err.message), err.message);
+});
+
+t('broken JSON array throws SyntaxError', () => {
+  let err = null;
+  try { parseJSONRecords('[{"a":1},'); } catch (e) { err = e; }
+  ok(err instanceof SyntaxError);
+});
+
+t('text that is neither JSON nor NDJSON throws', () => {
+  let err = null;
+  try { parseJSONRecords('id,name\n1,Alice'); } catch (e) { err = e; }
+  ok(err instanceof SyntaxError);
+});
+
+t('BOM and empty input', () => {
+  eq(parseJSONRecords('\uFEFF[{"a":1}]').records, [{ a: 1 }]);
+  eq(parseJSONRecords('  \n').records, []);
+});
+
+/* ===== buildDataFromRecords ===== */
+console.log('\nbuildDataFromRecords');
+
+t('columns are the union of keys in first-seen order', () => {
+  const { headers, data } = buildDataFromRecords([{ a: 1, b: 'x' }, { c: true, a: 2 }]);
+  eq(headers, ['a', 'b', 'c']);
+  eq(data, [['1', 'x', ''], ['2', '', 'true']]);
+});
+
+t('nested objects flatten to dotted columns, arrays stay JSON', () => {
+  const { headers, data } = buildDataFromRecords([
+    { id: 1, address: { city: 'Oslo', geo: { lat: 59.9 } }, tags: ['a', 'b'] },
+  ]);
+  eq(headers, ['id', 'address.city', 'address.geo.lat', 'tags']);
+  eq(data, [['1', 'Oslo', '59.9', '["a","b"]']]);
+});
+
+t('null → blank; bare values go in a "value" column', () => {
+  const { headers, data } = buildDataFromRecords([{ a: null }, 5]);
+  eq(headers, ['a', 'value']);
+  eq(data, [['', ''], ['', '5']]);
+});
+
+/* ===== rowsToTSV ===== */
+console.log('\nrowsToTSV');
+
+t('cells joined by tabs, rows by newlines', () => {
+  eq(rowsToTSV([['a', 'b'], ['1', '']]), 'a\tb\n1\t');
+});
+
+t('cells with tabs, quotes or line breaks are quoted', () => {
+  eq(rowsToTSV([['x\ty', 'say "hi"', 'l1\nl2', 'a,b']]), '"x\ty"\t"say ""hi"""\t"l1\nl2"\ta,b');
+});
+
+t('round-trips through parseCSV', () => {
+  const rows = [['name', 'note'], ['Ann', 'tab\there'], ['Bob', 'two\nlines, "quoted"']];
+  const { rows: back, delim } = parseCSV(rowsToTSV(rows));
+  eq(delim, '\t');
+  eq(back, rows);
+});
+
+t('pasted text with tabs splits on tabs, not commas in cells', () => {
+  const text = 'Last, First\tNote\nLee, Ann\thi';
+  eq(parseCSV(text).rows[0], ['Last', 'First\tNote']);
+  eq(parseCSV(text, pastedTextOptions(text, {})).rows, [['Last, First', 'Note'], ['Lee, Ann', 'hi']]);
+});
+
+t('a one-column table from HTML keeps decimal commas', () => {
+  const text = rowsToTSV([['amount'], ['1,5'], ['2,5']]);
+  eq(parseCSV(text, pastedTextOptions(text, {}, true)).rows, [['amount'], ['1,5'], ['2,5']]);
+});
+
+t('a chosen delimiter still wins over pasted tabs', () => {
+  eq(pastedTextOptions('a;b\tc', { delim: ';' }).delim, ';');
+  eq(pastedTextOptions('a,b', { delim: '' }).delim, '');
+});
+
+/* ===== unionTables ===== */
+console.log('\nunionTables');
+
+t('columns matched by name regardless of order', () => {
+  const { headers, data } = unionTables([
+    { name: 'jan.csv', headers: ['id', 'name'], data: [['1', 'Ann']] },
+    { name: 'feb.csv', headers: ['name', 'id'], data: [['Bob', '2']] },
+  ]);
+  eq(headers, ['id', 'name']);
+  eq(data, [['1', 'Ann'], ['2', 'Bob']]);
+});
+
+t('extra columns appended, missing cells blank', () => {
+  const { headers, data } = unionTables([
+    { name: 'a', headers: ['id', 'name'], data: [['1', 'Ann']] },
+    { name: 'b', headers: ['id', 'email'], data: [['2', 'b@x.io']] },
+  ]);
+  eq(headers, ['id', 'name', 'email']);
+  eq(data, [['1', 'Ann', ''], ['2', '', 'b@x.io']]);
+});
+
+t('names match trimmed and case-insensitively; first spelling kept', () => {
+  const { headers, data } = unionTables([
+    { name: 'a', headers: ['Name'], data: [['Ann']] },
+    { name: 'b', headers: [' name '], data: [['Bob']] },
+  ]);
+  eq(headers, ['Name']);
+  eq(data, [['Ann'], ['Bob']]);
+});
+
+t('headers differing only in case within one table stay separate', () => {
+  const { headers } = unionTables([{ name: 'a', headers: ['id', 'ID'], data: [] }]);
+  eq(headers, ['id', 'ID']);
+});
+
+t('sourceColumn adds the table name as a last column', () => {
+  const { headers, data } = unionTables([
+    { name: 'jan.csv', headers: ['id'], data: [['1']] },
+    { name: 'feb.csv', headers: ['id'], data: [['2']] },
+  ], { sourceColumn: true });
+  eq(headers, ['id', 'Source file']);
+  eq(data, [['1', 'jan.csv'], ['2', 'feb.csv']]);
+});
+
+t('source column name does not clash with an existing header', () => {
+  const { headers } = unionTables([{ name: 'a', headers: ['Source file'], data: [] }], { sourceColumn: true });
+  eq(headers, ['Source file', 'Source file (2)']);
+});
+
+/* ===== guessHasHeader ===== */
+console.log('\nguessHasHeader');
+
+t('text over numeric columns → header', () => {
+  eq(guessHasHeader([['id', 'score'], ['1', '90'], ['2', '85']]), true);
+});
+
+t('numbers in first row of numeric columns → no header', () => {
+  eq(guessHasHeader([['1', '90'], ['2', '85'], ['3', '70']]), false);
+});
+
+t('first-row value repeated in the column → no header', () => {
+  eq(guessHasHeader([['Alice', 'Eng'], ['Bob', 'Eng'], ['Carol', 'Ops']]), false);
+});
+
+t('no evidence (distinct strings) → header assumed', () => {
+  eq(guessHasHeader([['name', 'dept'], ['Bob', 'Eng']]), true);
+  eq(guessHasHeader([['only row']]), true);
+});
+
+t('integer first cell over a decimal column still counts as data', () => {
+  eq(guessHasHeader([['3', 'x'], ['1.5', 'y'], ['2.25', 'z']]), false);
+});
+
 /* ===== detectColTypes ===== */
 console.log('\ndetectColTypes');
 
-t('all integers → number', () => {
-  eq(detectColTypes(['n'], [['1'], ['2'], ['3'], ['42']])[0], 'number');
+t('all integers → integer', () => {
+  eq(detectColTypes(['n'], [['1'], ['2'], ['3'], ['42']])[0], 'integer');
 });
 
-t('all decimals → number', () => {
-  eq(detectColTypes(['n'], [['1.5'], ['2.7'], ['-3.14']])[0], 'number');
+t('all decimals → decimal', () => {
+  eq(detectColTypes(['n'], [['1.5'], ['2.7'], ['-3.14']])[0], 'decimal');
 });
 
 t('all ISO dates → date', () => {
@@ -177,9 +630,9 @@ t('all plain strings → string', () => {
   eq(detectColTypes(['s'], [['hello'], ['world'], ['foo'], ['bar']])[0], 'string');
 });
 
-t('>=80% numbers (with empty cells) → number', () => {
+t('>=80% numbers (with empty cells) → integer', () => {
   const data = [['1'], ['2'], ['3'], ['4'], ['5'], ['6'], ['7'], ['8'], [''], ['']];
-  eq(detectColTypes(['n'], data)[0], 'number');
+  eq(detectColTypes(['n'], data)[0], 'integer');
 });
 
 t('<80% numbers → string', () => {
@@ -187,22 +640,485 @@ t('<80% numbers → string', () => {
   eq(detectColTypes(['n'], data)[0], 'string');
 });
 
-t('numbers with comma separators → number', () => {
-  eq(detectColTypes(['n'], [['1,000'], ['2,500'], ['10,000']])[0], 'number');
+t('numbers with comma separators → integer', () => {
+  eq(detectColTypes(['n'], [['1,000'], ['2,500'], ['10,000']])[0], 'integer');
 });
 
-t('all-empty column → string', () => {
-  eq(detectColTypes(['e'], [[''], [''], ['']])[0], 'string');
+t('all-empty column → empty', () => {
+  eq(detectColTypes(['e'], [[''], [''], ['']])[0], 'empty');
 });
 
 t('multiple columns typed independently', () => {
   const data = [['1', 'hello', '2023-01-01'], ['2', 'world', '2023-06-15']];
   const types = detectColTypes(['num', 'str', 'date'], data);
-  eq(types[0], 'number');
+  eq(types[0], 'integer');
   eq(types[1], 'string');
   eq(types[2], 'date');
 });
 
+t('booleans, currency, percent, email, URL', () => {
+  const types = detectColTypes(['a', 'b', 'c', 'd', 'e'], [
+    ['true', '$1,200', '45%', 'ann@example.com', 'https://example.com'],
+    ['FALSE', '€3.50', '3.5 %', 'bob@example.org', 'www.example.org/a'],
+    ['yes', '($20.00)', '-2%', 'cid@example.io', 'http://x.io'],
+  ]);
+  eq(Object.values(types), ['boolean', 'currency', 'percent', 'email', 'url']);
+});
+
+t('one fractional value makes a number column decimal', () => {
+  eq(detectColTypes(['n'], [['1'], ['2'], ['2.5']])[0], 'decimal');
+});
+
+t('0/1 columns stay integer', () => {
+  eq(detectColTypes(['n'], [['0'], ['1'], ['1']])[0], 'integer');
+});
+
+t('parseNumericCell strips symbols, separators and accounting parentheses', () => {
+  eq(parseNumericCell('$1,200'), 1200);
+  eq(parseNumericCell('45%'), 45);
+  eq(parseNumericCell('(50.00)'), -50);
+  eq(parseNumericCell('€ 3.5'), 3.5);
+  ok(isNaN(parseNumericCell('')));
+  ok(isNaN(parseNumericCell('n/a')));
+});
+
+t('parseBooleanCell', () => {
+  eq([parseBooleanCell('True'), parseBooleanCell(' no '), parseBooleanCell('maybe')], [true, false, null]);
+});
+
+t('isNumericType includes the legacy "number"', () => {
+  eq(['integer', 'decimal', 'currency', 'percent', 'number', 'date', 'string'].map(isNumericType),
+    [true, true, true, true, true, false, false]);
+});
+
+/* ===== Number locale ===== */
+console.log('\nnumber locale');
+
+t('parseNumericCell reads decimal commas with dot, space or apostrophe groups', () => {
+  const opts = ',';
+  eq(parseNumericCell('1.234,56', opts), 1234.56);
+  eq(parseNumericCell('1 234 567,8', opts), 1234567.8);
+  eq(parseNumericCell('1\u202F234,5', opts), 1234.5);
+  eq(parseNumericCell("1'234,5", opts), 1234.5);
+  eq(parseNumericCell('3,5 %', opts), 3.5);
+  eq(parseNumericCell('12,50 €', opts), 12.5);
+});
+
+t('parseNumericCell accepts signs before or after the number', () => {
+  eq(parseNumericCell('1.234,5-', ','), -1234.5);
+  eq(parseNumericCell('\u22127,25', ','), -7.25);
+  eq(parseNumericCell('+3'), 3);
+  eq(parseNumericCell('42-'), -42);
+});
+
+t('parseNumericCell rejects the other locale\'s notation', () => {
+  ok(isNaN(parseNumericCell('1.5', ',')));
+  ok(isNaN(parseNumericCell('1,234.56', ',')));
+  ok(isNaN(parseNumericCell('1.234,56')));
+  ok(isNaN(parseNumericCell('1,23')), 'groups are three digits');
+});
+
+t('detectDecimalMark: unambiguous values decide', () => {
+  eq(detectDecimalMark([['Preis'], ['1.234,56'], ['7,5']], ';'), ',');
+  eq(detectDecimalMark([['Price'], ['1,234.56'], ['7.5']], ','), '.');
+  eq(detectDecimalMark([['Preis'], ['7,5']], '\t'), ',');
+});
+
+t('detectDecimalMark: a tie goes by the delimiter', () => {
+  eq(detectDecimalMark([['a', 'b'], ['1', '2']], ';'), ',');
+  eq(detectDecimalMark([['a', 'b'], ['1', '2']], ','), '.');
+  eq(detectDecimalMark([], '\t'), '.');
+});
+
+t('detectColTypes uses the decimal mark', () => {
+  const data = [['1.234,5'], ['7,25'], ['-3']];
+  eq(detectColTypes(['x'], data, { decimal: ',' })[0], 'decimal');
+  eq(detectColTypes(['x'], data)[0], 'string');
+});
+
+t('sortRows and filterRows read decimal commas', () => {
+  const data = [['10,5'], ['9,75'], ['1.000,0']];
+  const opts = { decimal: ',' };
+  eq(sortRows(data, 0, 'asc', { 0: 'decimal' }, opts).map(r => r[0]), ['9,75', '10,5', '1.000,0']);
+  eq(filterRows(data, ['x'], '', ['1000'], { 0: 'decimal' }, opts).length, 1);
+  eq(filterRows(data, ['x'], '', ['9,7'], { 0: 'decimal' }, opts).length, 1);
+});
+
+/* ===== Dates ===== */
+console.log('\ndates');
+
+const iso = ms => new Date(ms).toISOString();
+
+t('parseDateCell reads day-first and month-first dates deterministically', () => {
+  eq(iso(parseDateCell('03/04/2020', 'dmy')), '2020-04-03T00:00:00.000Z');
+  eq(iso(parseDateCell('03/04/2020', 'mdy')), '2020-03-04T00:00:00.000Z');
+  eq(iso(parseDateCell('15.04.2020 14:30', 'dmy')), '2020-04-15T14:30:00.000Z');
+  eq(iso(parseDateCell('4-15-2020 2:30 PM', 'mdy')), '2020-04-15T14:30:00.000Z');
+  ok(isNaN(parseDateCell('15/04/2020', 'mdy')));
+  ok(isNaN(parseDateCell('31/02/2020', 'dmy')), 'no February 31st');
+});
+
+t('parseDateCell applies time zones', () => {
+  eq(iso(parseDateCell('2020-04-15T10:30:00+02:00', 'iso')), '2020-04-15T08:30:00.000Z');
+  eq(iso(parseDateCell('2020-04-15 10:30:00.5Z', 'iso')), '2020-04-15T10:30:00.500Z');
+  eq(iso(parseDateCell('Wed, 15 Apr 2020 10:30:00 -0500', 'text')), '2020-04-15T15:30:00.000Z');
+  eq(iso(parseDateCell('April 15th, 2020', 'text')), '2020-04-15T00:00:00.000Z');
+});
+
+t('parseDateCell reads Unix time', () => {
+  eq(iso(parseDateCell('1586946600', 'epoch')), '2020-04-15T10:30:00.000Z');
+  eq(iso(parseDateCell('1586946600000', 'epoch-ms')), '2020-04-15T10:30:00.000Z');
+  ok(isNaN(parseDateCell('2020-04-15', 'epoch')));
+});
+
+t('detectDateFormat picks the one format that fits', () => {
+  eq(detectDateFormat(['03/04/2020', '15/04/2020']), 'dmy');
+  eq(detectDateFormat(['03/04/2020', '04/15/2020']), 'mdy');
+  eq(detectDateFormat(['2020-04-03', '2020-04-15T10:00:00Z']), 'iso');
+  eq(detectDateFormat(['15 Apr 2020', 'Apr 16, 2020']), 'text');
+  eq(detectDateFormat(['hello', '03/04/2020']), null);
+  eq(detectDateFormat([]), null);
+});
+
+t('detectDateFormat: ambiguous day/month follows the number locale', () => {
+  eq(detectDateFormat(['03/04/2020', '05/06/2020']), 'mdy');
+  eq(detectDateFormat(['03/04/2020', '05/06/2020'], { decimal: ',' }), 'dmy');
+});
+
+t('detectDateFormat: integers are Unix time only under a time-like header', () => {
+  eq(detectDateFormat(['1586946600', '1586950000'], { header: 'created_at' }), 'epoch');
+  eq(detectDateFormat(['1586946600000'], { header: 'updatedAt' }), 'epoch-ms');
+  eq(detectDateFormat(['1586946600', '1586950000'], { header: 'id' }), null);
+});
+
+t('detectColTypes: dates need one consistent format', () => {
+  eq(detectColTypes(['d'], [['15/04/2020'], ['16/04/2020']])[0], 'date');
+  eq(detectColTypes(['d'], [['15/04/2020'], ['04/16/2020'], ['17/04/2020'], ['04/18/2020']])[0], 'string');
+  eq(detectColTypes(['created_at', 'id'], [['1586946600', '1586946600']]), { 0: 'date', 1: 'integer' });
+});
+
+t('sortRows and filterRows use the column\'s date format', () => {
+  const data = [['03/04/2020'], ['02/05/2020'], ['01/06/2019']];
+  const dmy = { dateFormats: { 0: 'dmy' } };
+  eq(sortRows(data, 0, 'asc', { 0: 'date' }, dmy).map(r => r[0]), ['01/06/2019', '03/04/2020', '02/05/2020']);
+  eq(sortRows(data, 0, 'asc', { 0: 'date' }, { dateFormats: { 0: 'mdy' } }).map(r => r[0]),
+    ['01/06/2019', '02/05/2020', '03/04/2020']);
+  eq(filterRows(data, ['d'], '', ['2020-04'], { 0: 'date' }, dmy).map(r => r[0]), ['03/04/2020']);
+});
+
+/* ===== compileColumnFilter ===== */
+console.log('\ncompileColumnFilter');
+
+function filterMatches(text, type, values, options) {
+  const { match } = compileColumnFilter(text, type, options);
+  return values.filter(v => match(v));
+}
+
+function filterError(text, type, options) {
+  return compileColumnFilter(text, type, options).error;
+}
+
+t('number comparisons', () => {
+  const values = ['50000', '90000', '120000', ''];
+  eq(filterMatches('>90000', 'integer', values), ['120000']);
+  eq(filterMatches('>=90000', 'integer', values), ['90000', '120000']);
+  eq(filterMatches('< 60000', 'integer', values), ['50000']);
+  eq(filterMatches('!=90000', 'integer', values), ['50000', '120000', '']);
+});
+
+t('= compares numbers by value', () => {
+  eq(filterMatches('=1.5', 'decimal', ['1.50', '15', '1.5']), ['1.50', '1.5']);
+  eq(filterMatches('=1200', 'currency', ['$1,200', '$120']), ['$1,200']);
+});
+
+t('number ranges are inclusive and may be open-ended', () => {
+  const values = ['49999', '50000', '90000', '90001'];
+  eq(filterMatches('50000..90000', 'integer', values), ['50000', '90000']);
+  eq(filterMatches('90000..', 'integer', values), ['90000', '90001']);
+  eq(filterMatches('..50000', 'integer', values), ['49999', '50000']);
+});
+
+t('number operands follow the decimal mark', () => {
+  eq(filterMatches('>1,5', 'decimal', ['1,25', '2,5'], { decimal: ',' }), ['2,5']);
+  eq(filterMatches('>1.5', 'decimal', ['1,25', '2,5'], { decimal: ',' }), ['2,5']);
+});
+
+t('date before/after and ranges', () => {
+  const values = ['2018-06-01', '2019-01-01', '2020-12-31', '2021-03-15'];
+  eq(filterMatches('before 2019-01-01', 'date', values), ['2018-06-01']);
+  eq(filterMatches('after 2020-12-31', 'date', values), ['2021-03-15']);
+  eq(filterMatches('2019-01-01..2020-12-31', 'date', values), ['2019-01-01', '2020-12-31']);
+});
+
+t('a date without a time covers the whole day', () => {
+  const values = ['2020-05-01 09:30', '2020-05-02 00:00'];
+  eq(filterMatches('=2020-05-01', 'date', values), ['2020-05-01 09:30']);
+  eq(filterMatches('<=2020-05-01', 'date', values), ['2020-05-01 09:30']);
+});
+
+t('date operands are read in the column format', () => {
+  const values = ['31/12/2019', '01/02/2020'];
+  eq(filterMatches('after 01/01/2020', 'date', values, { dateFormat: 'dmy' }), ['01/02/2020']);
+  eq(filterMatches('after 2020-01-01', 'date', values, { dateFormat: 'dmy' }), ['01/02/2020']);
+});
+
+t('= is an exact, case-insensitive match on text', () => {
+  eq(filterMatches('=engineering', 'string', ['Engineering', 'Engineering Ops']), ['Engineering']);
+});
+
+t('! negates any expression', () => {
+  eq(filterMatches('!eng', 'string', ['Engineering', 'Sales']), ['Sales']);
+  eq(filterMatches('!>10', 'integer', ['5', '20']), ['5']);
+  eq(filterMatches('!=Sales', 'string', ['Engineering', 'Sales']), ['Engineering']);
+});
+
+t('operators on text columns without a number stay substrings', () => {
+  eq(filterMatches('<b>', 'string', ['<b>bold</b>', 'plain']), ['<b>bold</b>']);
+});
+
+t('invalid expressions report an error and filter nothing', () => {
+  eq(filterError('>', 'integer'), 'Expected a number after >');
+  eq(filterError('>abc', 'integer'), 'Expected a number after >');
+  eq(filterError('10..x', 'integer'), 'Not a number range');
+  eq(filterError('!', 'string'), 'Nothing to negate after !');
+  eq(filterError('before 10', 'integer'), '"before" only works on date columns');
+  eq(filterError('>5', 'string'), 'Comparisons only work on number and date columns');
+  eq(filterError('after someday', 'date'), 'Expected a date after after');
+  eq(filterMatches('>', 'integer', ['1', '2']), ['1', '2']);
+});
+
+t('plain text and empty filters have no error', () => {
+  eq(filterError('', 'integer'), null);
+  eq(filterError('1000', 'integer'), null);
+  eq(filterError('2020', 'date'), null);
+});
+
+/* ===== compileSearchQuery ===== */
+console.log('\ncompileSearchQuery');
+
+const QHEADERS = ['name', 'department', 'salary', 'hired'];
+const QTYPES = { 2: 'integer', 3: 'date' };
+const QDATA = [
+  ['Ann Lee', 'Engineering', '95000', '2019-03-01'],
+  ['Bob', 'Design', '70000', '2021-01-05'],
+  ['Cy', 'Engineering', '60000', '2018-07-07'],
+  ['Dee', 'Sales', '120000', '2020-02-02'],
+];
+
+function queryNames(query) {
+  const { match, error } = compileSearchQuery(query, QHEADERS, QTYPES);
+  if (error) throw new Error(error);
+  return QDATA.filter(match).map(r => r[0]);
+}
+
+function queryError(query) {
+  return compileSearchQuery(query, QHEADERS, QTYPES).error;
+}
+
+t('words must all appear, in any column', () => {
+  eq(queryNames('engineering'), ['Ann Lee', 'Cy']);
+  eq(queryNames('engineering lee'), ['Ann Lee']);
+  eq(queryNames('ann AND lee'), ['Ann Lee']);
+});
+
+t('quoted phrases keep their spaces', () => {
+  eq(queryNames('"ann lee"'), ['Ann Lee']);
+  eq(queryNames('"lee ann"'), []);
+});
+
+t('column:value searches one column, by name in any case', () => {
+  eq(queryNames('department:eng'), ['Ann Lee', 'Cy']);
+  eq(queryNames('Department:=design'), ['Bob']);
+  eq(queryNames('name:"ann lee"'), ['Ann Lee']);
+  eq(queryNames('name:engineering'), []);
+});
+
+t('column values take comparisons', () => {
+  eq(queryNames('salary:>90000'), ['Ann Lee', 'Dee']);
+  eq(queryNames('salary:60000..70000'), ['Bob', 'Cy']);
+  eq(queryNames('hired:<2019-01-01'), ['Cy']);
+});
+
+t('-term excludes', () => {
+  eq(queryNames('-engineering'), ['Bob', 'Dee']);
+  eq(queryNames('engineering -name:cy'), ['Ann Lee']);
+});
+
+t('OR binds tighter than the implicit AND', () => {
+  eq(queryNames('design OR sales'), ['Bob', 'Dee']);
+  eq(queryNames('salary:>65000 design OR sales'), ['Bob', 'Dee']);
+});
+
+t('parentheses group', () => {
+  eq(queryNames('(department:design OR department:sales) salary:>100000'), ['Dee']);
+  eq(queryNames('-(department:engineering OR bob)'), ['Dee']);
+});
+
+t('quoted keywords are plain words', () => {
+  const { match } = compileSearchQuery('"OR"', ['w'], {});
+  eq([['OR'], ['and']].filter(match), [['OR']]);
+});
+
+t('times and links keep their colons', () => {
+  const data = [['10:30'], ['http://example.com'], ['other']];
+  eq(data.filter(compileSearchQuery('10:30', ['t']).match), [['10:30']]);
+  eq(data.filter(compileSearchQuery('http://example', ['t']).match), [['http://example.com']]);
+});
+
+t('parse errors are reported and let every row through', () => {
+  eq(queryError('"abc'), 'Missing closing "');
+  eq(queryError('(design'), 'Missing )');
+  eq(queryError('design)'), 'Unexpected )');
+  eq(queryError('()'), 'Empty parentheses');
+  eq(queryError('OR design'), 'OR needs a term on both sides');
+  eq(queryError('design OR'), 'OR needs a term on both sides');
+  eq(queryError('department:'), 'Nothing to search for after department:');
+  eq(queryError('salary:>abc'), 'salary: Expected a number after >');
+  ok(queryError('dept:eng').startsWith('No column named "dept"'));
+  eq(QDATA.filter(compileSearchQuery('(design', QHEADERS, QTYPES).match).length, 4);
+});
+
+t('empty query matches everything', () => {
+  eq(compileSearchQuery('  ', QHEADERS, QTYPES).error, null);
+  eq(QDATA.filter(compileSearchQuery('', QHEADERS, QTYPES).match).length, 4);
+});
+
+/* ===== Search modes ===== */
+console.log('\nSearch modes');
+
+const MDATA = [['Ann', 'IT'], ['Bob', 'Digital'], ['Cy', 'it support'], ['Dee', 'Café IT']];
+
+function modeNames(query, mode) {
+  const { match, error } = compileSearchQuery(query, ['name', 'dept'], {}, { mode });
+  if (error) throw new Error(error);
+  return MDATA.filter(match).map(r => r[0]);
+}
+
+function filterModeValues(text, mode, type) {
+  const { match, error } = compileColumnFilter(text, type, { mode });
+  if (error) throw new Error(error);
+  return MDATA.map(r => r[1]).filter(match);
+}
+
+t('whole word skips matches inside words', () => {
+  eq(modeNames('IT', { wholeWord: true }), ['Ann', 'Cy', 'Dee']);
+  eq(filterModeValues('it', { wholeWord: true }), ['IT', 'it support', 'Café IT']);
+});
+
+t('whole word treats accented letters as letters', () => {
+  eq(modeNames('caf', { wholeWord: true }), []);
+  eq(modeNames('café', { wholeWord: true }), ['Dee']);
+});
+
+t('match case', () => {
+  eq(modeNames('IT', { caseSensitive: true }), ['Ann', 'Dee']);
+  eq(filterModeValues('=it', { caseSensitive: true }), []);
+  eq(filterModeValues('=IT', { caseSensitive: true }), ['IT']);
+});
+
+t('case and whole word combine', () => {
+  eq(modeNames('it', { caseSensitive: true, wholeWord: true }), ['Cy']);
+});
+
+t('whole word finds a later whole occurrence', () => {
+  const { match } = compileColumnFilter('ab', null, { mode: { wholeWord: true } });
+  ok(match('abc ab'));
+});
+
+t('regex mode: the whole text is one pattern', () => {
+  eq(modeNames('^(ann|bob)$', { regex: true }), ['Ann', 'Bob']);
+  eq(modeNames('dig|sup', { regex: true }), ['Bob', 'Cy']);
+  eq(filterModeValues('^it', { regex: true }), ['IT', 'it support']);
+  eq(filterModeValues('^it', { regex: true, caseSensitive: true }), ['it support']);
+});
+
+t('regex mode ignores the query and filter syntax', () => {
+  const { match } = compileColumnFilter('>5', 'integer', { mode: { regex: true } });
+  ok(match('a>5'));
+  ok(!match('9'));
+  eq(modeNames('name:ann', { regex: true }), []);
+});
+
+t('regex with whole word', () => {
+  eq(modeNames('i.', { regex: true, wholeWord: true }), ['Ann', 'Cy', 'Dee']);
+});
+
+t('special characters are literal outside regex mode', () => {
+  const { match } = compileColumnFilter('c++', null, { mode: { wholeWord: true } });
+  ok(match('c++ dev'));
+  ok(!match('c dev'));
+});
+
+t('invalid regex is an error, not a throw', () => {
+  const search = compileSearchQuery('(', ['a'], {}, { mode: { regex: true } });
+  ok(search.error.includes('Unterminated group'));
+  ok(search.match(['x']));
+  ok(compileColumnFilter('[', null, { mode: { regex: true } }).error.includes('character class'));
+});
+
+t('filterRows takes searchMode and filterModes', () => {
+  const names = (search, filters, options) => filterRows(MDATA, ['name', 'dept'], search, filters, {}, options).map(r => r[0]);
+  eq(names('IT', [], { searchMode: { wholeWord: true, caseSensitive: true } }), ['Ann', 'Dee']);
+  eq(names('', ['', 'it'], { filterModes: [null, { wholeWord: true }] }), ['Ann', 'Cy', 'Dee']);
+  eq(names('(', [], { searchMode: { regex: true } }).length, 4);
+});
+
+/* ===== Fuzzy search ===== */
+console.log('\nFuzzy search');
+
+const ZDATA = [
+  ['Ann Johnson', 'Sales'],
+  ['Bob Jonson', 'Design'],
+  ['Cy Jansen', 'Support'],
+  ['Dee Johnston', 'Sales'],
+];
+const fuzzyNames = (query, filters) =>
+  filterRows(ZDATA, ['name', 'dept'], query, filters || [], {}, { searchMode: { fuzzy: true } }).map(r => r[0]);
+
+t('small typos still match', () => {
+  eq(fuzzyNames('jonson'), ['Bob Jonson', 'Ann Johnson']);
+  eq(fuzzyNames('johnston'), ['Dee Johnston', 'Ann Johnson', 'Bob Jonson']);
+});
+
+t('allowed edits grow with word length', () => {
+  eq(fuzzyNames('ann'), ['Ann Johnson']);
+  eq(fuzzyNames('anx'), []);
+  eq(fuzzyNames('desgn'), ['Bob Jonson']);
+  eq(fuzzyNames('suport'), ['Cy Jansen']);
+});
+
+t('every word must match; rows rank by total edits', () => {
+  eq(fuzzyNames('jonson sales'), ['Ann Johnson']);
+  eq(fuzzyNames('jonson sles'), ['Ann Johnson']);
+  eq(fuzzyNames('johnson dessign'), ['Bob Jonson']);
+});
+
+t('ties keep file order', () => {
+  eq(fuzzyNames('sales'), ['Ann Johnson', 'Dee Johnston']);
+});
+
+t('column filters still apply', () => {
+  eq(fuzzyNames('jonson', ['', 'sales']), ['Ann Johnson']);
+});
+
+t('fuzzy ignores query syntax and the other modes', () => {
+  const { match, error } = compileSearchQuery('name:"jonson', ['name'], {}, { mode: { fuzzy: true, regex: true } });
+  eq(error, null);
+  ok(!match(['Bob Jonson']));
+  ok(compileSearchQuery('"jonson', ['name'], {}, { mode: { fuzzy: true, regex: true } }).match(['Bob Jonson']));
+});
+
+t('fuzzyHighlightRanges marks aligned characters', () => {
+  eq(fuzzyHighlightRanges('Ann Johnson', 'jonson'), [[4, 6], [7, 11]]);
+  eq(fuzzyHighlightRanges('Bob Jonson', 'jonson bob'), [[0, 3], [4, 10]]);
+});
+
+t('fuzzyHighlightRanges skips words that miss', () => {
+  eq(fuzzyHighlightRanges('Sales', 'jonson'), []);
+  eq(fuzzyHighlightRanges('', 'x'), []);
+  eq(fuzzyHighlightRanges('<b>', 'b'), [[1, 2]]);
+});
+
 /* ===== filterRows ===== */
 console.log('\nfilterRows');
 
@@ -258,6 +1174,15 @@ t('global search + column filter combined', () => {
   eq(filterRows(FDATA, FHEADERS, 'engineer', ['ali', '', '']).length, 1);
 });
 
+t('global search is a query over columns and types', () => {
+  eq(filterRows(FDATA, FHEADERS, 'role:engineer age:>30', [], { 1: 'integer' }).map(r => r[0]), ['Charlie']);
+  eq(filterRows(FDATA, FHEADERS, 'engineer OR manager -alice', []).map(r => r[0]), ['Charlie', 'Diana']);
+});
+
+t('global search with a parse error filters nothing', () => {
+  eq(filterRows(FDATA, FHEADERS, '"alice', []).length, 4);
+});
+
 t('null/undefined cells treated as empty string', () => {
   const data = [[null, 'visible'], [undefined, 'also']];
   const result = filterRows(data, ['a', 'b'], 'visible', []);
@@ -268,6 +1193,255 @@ t('null colFilters treated as empty', () => {
   eq(filterRows(FDATA, FHEADERS, '', null).length, 4);
 });
 
+t('colTypes: numeric column filter matches the number itself', () => {
+  const data = [['$1,200'], ['$950'], ['$12']];
+  eq(filterRows(data, ['price'], '', ['1200'], { 0: 'currency' }).length, 1);
+  eq(filterRows(data, ['price'], '', ['1200']).length, 0);
+  eq(filterRows(data, ['price'], '', ['$9'], { 0: 'currency' }).length, 1);
+});
+
+t('colTypes: boolean column filter matches by value', () => {
+  const data = [['Yes'], ['no'], ['TRUE'], ['false']];
+  eq(filterRows(data, ['ok'], '', ['true'], { 0: 'boolean' }).length, 2);
+  eq(filterRows(data, ['ok'], '', ['n'], { 0: 'boolean' }).length, 1); // plain substring
+});
+
+t('facets: only the picked values pass', () => {
+  eq(filterRows(FDATA, FHEADERS, '', [], {}, { facets: [null, null, ['Designer', 'Manager']] }).map(r => r[0]), ['Bob', 'Diana']);
+  eq(filterRows(FDATA, FHEADERS, '', [], {}, { facets: [null, null, []] }).length, 0);
+  eq(filterRows(FDATA, FHEADERS, '', [], {}, { facets: [null, null, null] }).length, 4);
+});
+
+t('facets compare trimmed values exactly; blanks are ""', () => {
+  const data = [[' a '], ['A'], [''], [null]];
+  eq(filterRows(data, ['x'], '', [], {}, { facets: [['a']] }), [[' a ']]);
+  eq(filterRows(data, ['x'], '', [], {}, { facets: [['']] }).length, 2);
+});
+
+t('facets combine with filters and search', () => {
+  const result = filterRows(FDATA, FHEADERS, 'a', ['', '>26'], { 1: 'integer' }, { facets: [null, null, ['Engineer']] });
+  eq(result.map(r => r[0]), ['Alice', 'Charlie']);
+});
+
+/* ===== Search index ===== */
+console.log('\nSearch index');
+
+t('buildSearchIndex keeps each row lower-cased, cells apart', () => {
+  const index = buildSearchIndex([['Ann', 'LEE'], ['Bob', null]]);
+  eq(index.size, 2);
+  eq(index.get(index.keys().next().value), 'ann\u0000lee');
+});
+
+t('buildSearchIndex adds only rows it lacks', () => {
+  const rows = [['a'], ['b']];
+  const index = buildSearchIndex(rows.slice(0, 1));
+  index.set(rows[0], 'kept');
+  buildSearchIndex(rows, index);
+  eq([...index.values()], ['kept', 'b']);
+});
+
+t('filterRows with an index finds the same rows', () => {
+  const searchIndex = buildSearchIndex(FDATA);
+  for (const query of ['ali', 'ENGINEER', 'e 3', 'bob OR diana', '-engineer', '"ce 3"', 'role:engineer']) {
+    eq(filterRows(FDATA, FHEADERS, query, [], {}, { searchIndex }), filterRows(FDATA, FHEADERS, query, []), query);
+  }
+});
+
+t('the index never matches across two cells', () => {
+  eq(filterRows([['ab', 'cd']], ['x', 'y'], 'bc', [], {}, { searchIndex: buildSearchIndex([['ab', 'cd']]) }), []);
+});
+
+t('rows missing from the index are still searched', () => {
+  const searchIndex = buildSearchIndex(FDATA.slice(0, 2));
+  eq(filterRows(FDATA, FHEADERS, 'diana', [], {}, { searchIndex }).map(r => r[0]), ['Diana']);
+});
+
+t('case-sensitive and whole-word searches bypass the index', () => {
+  const searchIndex = buildSearchIndex(FDATA);
+  eq(filterRows(FDATA, FHEADERS, 'alice', [], {}, { searchIndex, searchMode: { caseSensitive: true } }), []);
+  eq(filterRows(FDATA, FHEADERS, 'ali', [], {}, { searchIndex, searchMode: { wholeWord: true } }), []);
+});
+
+t('searchNarrows when plain words are extended or added', () => {
+  ok(searchNarrows('', 'ann'));
+  ok(searchNarrows('an', 'ann'));
+  ok(searchNarrows('ann', 'ann lee'));
+  ok(searchNarrows('ann', 'ann', { caseSensitive: true }));
+});
+
+t('searchNarrows refuses anything that could find more rows', () => {
+  ok(!searchNarrows('ann', 'an'));
+  ok(!searchNarrows('ann ', 'ann'));
+  ok(!searchNarrows('-a', '-ab'));
+  ok(!searchNarrows('x AN', 'x AND'));
+  ok(!searchNarrows('x', 'x OR y'));
+  ok(!searchNarrows('"a', '"a b"'));
+  ok(!searchNarrows('age', 'age:>3'));
+  ok(!searchNarrows('ab', 'abc', { wholeWord: true }));
+  ok(!searchNarrows('a', 'ab', { regex: true }));
+  ok(!searchNarrows('a', 'ab', { fuzzy: true }));
+});
+
+t('narrowing gives the same rows as a full filter', () => {
+  const first = filterRows(FDATA, FHEADERS, 'e', []);
+  eq(filterRows(first, FHEADERS, 'e 3', []), filterRows(FDATA, FHEADERS, 'e 3', []));
+});
+
+/* ===== facetValues ===== */
+console.log('\nfacetValues');
+
+t('counts distinct values, most common first', () => {
+  eq(facetValues(FDATA, 2), [
+    { value: 'Engineer', count: 2 }, { value: 'Designer', count: 1 }, { value: 'Manager', count: 1 },
+  ]);
+});
+
+t('values are trimmed; blank and missing cells count as ""', () => {
+  eq(facetValues([[' x'], ['x '], [''], [null], []], 0), [{ value: '', count: 3 }, { value: 'x', count: 2 }]);
+});
+
+t('ties sort naturally', () => {
+  eq(facetValues([['10'], ['9'], ['b'], ['a']], 0).map(v => v.value), ['9', '10', 'a', 'b']);
+});
+
+t('empty rows → no values', () => {
+  eq(facetValues([], 0), []);
+});
+
+/* ===== Filter builder trees ===== */
+console.log('\nFilter builder trees');
+
+const BHEADERS = ['name', 'department', 'salary', 'hired', 'active'];
+const BTYPES = { 2: 'integer', 3: 'date', 4: 'boolean' };
+const BDATA = [
+  ['Ann', 'Engineering', '95000', '2019-03-01', 'yes'],
+  ['Bob', 'Design', '85000', '2021-01-05', 'no'],
+  ['Cy', 'Engineering', '60000', '2018-07-07', 'yes'],
+  ['Dee', 'Sales', '120000', '2020-02-02', ''],
+];
+
+function treeNames(tree) {
+  return BDATA.filter(compileFilterTree(tree, BHEADERS, BTYPES).match).map(r => r[0]);
+}
+
+const cond = (column, op, value) => (value === undefined ? { column, op } : { column, op, value });
+
+t('filterOperatorKind', () => {
+  eq(['integer', 'currency', 'date', 'boolean', 'string', 'email'].map(filterOperatorKind),
+    ['number', 'number', 'date', 'boolean', 'text', 'text']);
+});
+
+t('(department = Engineering OR Design) AND salary > 80000', () => {
+  const tree = {
+    op: 'and',
+    items: [
+      { op: 'or', items: [cond('department', 'equals', 'Engineering'), cond('department', 'equals', 'Design')] },
+      cond('salary', '>', '80000'),
+    ],
+  };
+  eq(treeNames(tree), ['Ann', 'Bob']);
+});
+
+t('text operators ignore case', () => {
+  eq(treeNames({ op: 'and', items: [cond('department', 'contains', 'ENG')] }), ['Ann', 'Cy']);
+  eq(treeNames({ op: 'and', items: [cond('department', 'not-contains', 'eng')] }), ['Bob', 'Dee']);
+  eq(treeNames({ op: 'and', items: [cond('name', 'starts-with', 'd')] }), ['Dee']);
+  eq(treeNames({ op: 'and', items: [cond('department', 'ends-with', 'GN')] }), ['Bob']);
+  eq(treeNames({ op: 'and', items: [cond('department', 'not-equals', 'engineering')] }), ['Bob', 'Dee']);
+});
+
+t('number operators and between', () => {
+  eq(treeNames({ op: 'and', items: [cond('salary', '<=', '85000')] }), ['Bob', 'Cy']);
+  eq(treeNames({ op: 'and', items: [cond('salary', '!=', '85000')] }), ['Ann', 'Cy', 'Dee']);
+  eq(treeNames({ op: 'and', items: [cond('salary', 'between', ['80000', '100000'])] }), ['Ann', 'Bob']);
+  eq(treeNames({ op: 'and', items: [cond('salary', 'between', ['100000', ''])] }), ['Dee']);
+});
+
+t('number values are read with "." in a comma-decimal file', () => {
+  const data = [['a', '1,5'], ['b', '15'], ['c', '1.234,5'], ['d', '1,2']];
+  const names = item => data.filter(compileFilterTree({ op: 'and', items: [item] }, ['k', 'v'], { 1: 'decimal' },
+    { decimal: ',' }).match).map(r => r[0]);
+  eq(names(cond('v', '=', '1.5')), ['a']);
+  eq(names(cond('v', '>', '1.234')), ['a', 'b', 'c']);
+  eq(names(cond('v', 'between', ['1.2', '1.5'])), ['a', 'd']);
+  // Typed column filters still use the file's mark
+  eq(data.filter(r => compileColumnFilter('>1,3', 'decimal', { decimal: ',' }).match(r[1])).map(r => r[0]), ['a', 'b', 'c']);
+});
+
+t('date operators', () => {
+  eq(treeNames({ op: 'and', items: [cond('hired', 'before', '2019-01-01')] }), ['Cy']);
+  eq(treeNames({ op: 'and', items: [cond('hired', 'after', '2020-02-02')] }), ['Bob']);
+  eq(treeNames({ op: 'and', items: [cond('hired', 'on', '2020-02-02')] }), ['Dee']);
+  eq(treeNames({ op: 'and', items: [cond('hired', 'between', ['2019-01-01', '2020-12-31'])] }), ['Ann', 'Dee']);
+});
+
+t('boolean and empty operators', () => {
+  eq(treeNames({ op: 'and', items: [cond('active', 'true')] }), ['Ann', 'Cy']);
+  eq(treeNames({ op: 'and', items: [cond('active', 'false')] }), ['Bob']);
+  eq(treeNames({ op: 'and', items: [cond('active', 'empty')] }), ['Dee']);
+  eq(treeNames({ op: 'or', items: [cond('active', 'not-empty')] }), ['Ann', 'Bob', 'Cy']);
+});
+
+t('empty trees, groups and values leave rows alone', () => {
+  eq(treeNames({ op: 'and', items: [] }), ['Ann', 'Bob', 'Cy', 'Dee']);
+  eq(treeNames({ op: 'or', items: [{ op: 'and', items: [] }, cond('name', 'equals', 'Bob')] }), ['Bob']);
+  eq(treeNames({ op: 'and', items: [cond('name', 'contains', ''), cond('salary', 'between', ['', ''])] }).length, 4);
+});
+
+t('problems are reported per condition and left out', () => {
+  const missing = cond('team', 'contains', 'x');
+  const wrongOp = cond('name', '>', '5');
+  const badValue = cond('salary', '>', 'lots');
+  const { match, problems } = compileFilterTree({ op: 'and', items: [missing, wrongOp, badValue, cond('name', 'equals', 'cy')] },
+    BHEADERS, BTYPES);
+  eq(problems.get(missing), 'No column named "team"');
+  eq(problems.get(wrongOp), '">" doesn\'t apply to text columns');
+  eq(problems.get(badValue), 'Expected a number after >');
+  eq(BDATA.filter(match).map(r => r[0]), ['Cy']);
+});
+
+t('filterRows applies filterTree with the other filters', () => {
+  const tree = { op: 'or', items: [cond('department', 'equals', 'design'), cond('department', 'equals', 'sales')] };
+  eq(filterRows(BDATA, BHEADERS, '', ['', '', '>90000'], BTYPES, { filterTree: tree }).map(r => r[0]), ['Dee']);
+});
+
+t('normalizeFilterTree cleans and copies', () => {
+  const input = {
+    op: 'and',
+    items: [cond('a', 'true', 'ignored'), { op: 'or', items: [cond('b', 'between', ['1', '2'])] }],
+    extra: 1,
+  };
+  const clean = normalizeFilterTree(input);
+  eq(clean, { op: 'and', items: [{ column: 'a', op: 'true' }, { op: 'or', items: [{ column: 'b', op: 'between', value: ['1', '2'] }] }] });
+  ok(clean.items[1].items[0].value !== input.items[1].items[0].value);
+});
+
+t('normalizeFilterTree names the first problem', () => {
+  const fails = (tree, message) => {
+    try { normalizeFilterTree(tree); } catch (e) { eq(e.message, message); return; }
+    throw new Error('expected a throw');
+  };
+  fails(null, 'A filter group needs an "items" list');
+  fails({ op: 'xor', items: [] }, 'A filter group\'s "op" must be "and" or "or"');
+  fails({ op: 'and', items: [{ op: 'contains' }] }, 'Each condition needs a "column" name');
+  fails({ op: 'and', items: [cond('a', 'like', 'x')] }, 'Unknown operator "like" for "a"');
+  fails({ op: 'and', items: [cond('a', 'between', '1..2')] }, '"between" for "a" takes a [from, to] pair of strings');
+  fails({ op: 'and', items: [cond('a', '>', 5)] }, 'The value for "a" must be a string');
+});
+
+t('parseFilterPresetsJSON', () => {
+  const text = JSON.stringify({ presets: [{ name: ' Rich ', filter: { op: 'and', items: [cond('salary', '>', '1')] } }] });
+  eq(parseFilterPresetsJSON(text), [{ name: 'Rich', filter: { op: 'and', items: [cond('salary', '>', '1')] } }]);
+  const fails = (input, message) => {
+    try { parseFilterPresetsJSON(input); } catch (e) { eq(e.message, message); return; }
+    throw new Error('expected a throw');
+  };
+  try { parseFilterPresetsJSON('{'); } catch (e) { ok(e.message.startsWith('Not valid JSON (')); }
+  fails('[]', 'Expected an object with a "presets" list');
+  fails('{"presets": [{"filter": {}}]}', 'Each preset needs a "name"');
+  fails('{"presets": [{"name": "x", "filter": {"op": "and"}}]}', 'Preset "x": A filter group needs an "items" list');
+});
+
 /* ===== sortRows ===== */
 console.log('\nsortRows');
 
@@ -352,6 +1526,311 @@ t('does not mutate input array', () => {
   ok(orig[0] === firstRow, 'original array was mutated');
 });
 
+t('currency and percent sort by value', () => {
+  const data = [['$1,200'], ['$95'], ['($20)'], ['$300.50']];
+  eq(sortRows(data, 0, 'asc', { 0: 'currency' }).map(r => r[0]), ['($20)', '$95', '$300.50', '$1,200']);
+  eq(sortRows([['5%'], ['45%'], ['12.5%']], 0, 'desc', { 0: 'percent' }).map(r => r[0]), ['45%', '12.5%', '5%']);
+});
+
+t('boolean sort: false before true, others first', () => {
+  const data = [['true'], ['No'], [''], ['yes'], ['false']];
+  eq(sortRows(data, 0, 'asc', { 0: 'boolean' }).map(r => r[0]), ['', 'No', 'false', 'true', 'yes']);
+});
+
+const STAFF = [
+  ['Ann', 'Sales', '50000'],
+  ['Bob', 'Eng', '70000'],
+  ['Cat', 'Sales', '65000'],
+  ['Dan', 'Eng', '90000'],
+  ['Eve', 'Sales', '50000'],
+];
+const STAFF_TYPES = { 0: 'string', 1: 'string', 2: 'integer' };
+
+t('key list: later keys order ties on earlier ones', () => {
+  const result = sortRows(STAFF, [{ col: 1, dir: 'asc' }, { col: 2, dir: 'desc' }], STAFF_TYPES);
+  eq(result.map(r => r[0]), ['Dan', 'Bob', 'Cat', 'Ann', 'Eve']);
+});
+
+t('key list: rows tied on every key keep their order', () => {
+  const result = sortRows(STAFF, [{ col: 1, dir: 'desc' }, { col: 2, dir: 'asc' }], STAFF_TYPES);
+  eq(result.map(r => r[0]), ['Ann', 'Eve', 'Cat', 'Bob', 'Dan']);
+});
+
+t('key list: three keys of mixed types', () => {
+  const data = [['b', '2020-01-02', '1'], ['a', '2020-01-02', '2'], ['c', '2019-05-05', '2'], ['d', '2020-01-02', '1']];
+  const keys = [{ col: 1, dir: 'desc' }, { col: 2, dir: 'asc' }, { col: 0, dir: 'desc' }];
+  eq(sortRows(data, keys, { 0: 'string', 1: 'date', 2: 'integer' }).map(r => r[0]), ['d', 'b', 'a', 'c']);
+});
+
+t('key list: unparseable numbers tie, so the next key decides', () => {
+  const data = [['x', 'n/a'], ['a', ''], ['m', '5']];
+  const keys = [{ col: 1, dir: 'asc' }, { col: 0, dir: 'asc' }];
+  eq(sortRows(data, keys, { 0: 'string', 1: 'integer' }).map(r => r[0]), ['a', 'x', 'm']);
+});
+
+t('key list: empty or switched-off keys leave rows as they are', () => {
+  ok(sortRows(STAFF, [], STAFF_TYPES) === STAFF);
+  ok(sortRows(STAFF, [{ col: 1, dir: 'none' }, { col: -1, dir: 'asc' }], STAFF_TYPES) === STAFF);
+});
+
+t('key list: one key matches the two-argument form', () => {
+  eq(sortRows(STAFF, [{ col: 2, dir: 'desc' }], STAFF_TYPES), sortRows(STAFF, 2, 'desc', STAFF_TYPES));
+});
+
+/* ===== formatCell ===== */
+console.log('\nformatCell');
+
+t('numbers are grouped and keep their own decimals by default', () => {
+  eq(formatCell('1234567.5', 'decimal'), '1,234,567.5');
+  eq(formatCell('1234.50', 'decimal'), '1,234.50');
+  eq(formatCell('1.234,5', 'decimal', { decimal: ',' }), '1.234,5');
+  eq(formatCell('2020', 'integer'), '2020', 'integers are not grouped unless asked');
+});
+
+t('integers are shown as written unless a setting is picked', () => {
+  eq(formatCell('01234', 'integer'), '01234');
+  eq(formatCell('007', 'integer'), '007');
+  eq(formatCell('12345678901234567890', 'integer'), '12345678901234567890');
+  eq(formatCell('+42', 'integer'), '+42');
+});
+
+t('integer settings leave leading zeros and long ids alone', () => {
+  eq(formatCell('01234', 'integer', { thousands: ',' }), '01234');
+  eq(formatCell('12345678901234567890', 'integer', { thousands: ',' }), '12345678901234567890');
+  eq(formatCell('1234567', 'integer', { thousands: ',' }), '1,234,567');
+  eq(formatCell('0', 'integer', { decimals: 2 }), '0.00');
+});
+
+t('decimals and thousands settings', () => {
+  eq(formatCell('1234.567', 'decimal', { decimals: 2 }), '1,234.57');
+  eq(formatCell('1234.5', 'decimal', { decimals: 0, thousands: '' }), '1235');
+  eq(formatCell('95000', 'integer', { thousands: ' ' }), '95 000');
+  eq(formatCell('1234,5', 'decimal', { decimal: ',', thousands: "'" }), "1'234,5");
+  eq(formatCell('-0.001', 'decimal', { decimals: 0 }), '0');
+});
+
+t('currency keeps its symbol and percent its sign', () => {
+  eq(formatCell('$1,200', 'currency', { decimals: 2 }), '$1,200.00');
+  eq(formatCell('($50)', 'currency'), '-$50');
+  eq(formatCell('12,50 €', 'currency', { decimal: ',' }), '12,50 €');
+  eq(formatCell('45%', 'percent', { decimals: 1 }), '45.0%');
+});
+
+t('dates are shown in the chosen style', () => {
+  eq(formatCell('03/04/2020', 'date', { dateFormat: 'dmy', dateStyle: 'long' }), '3 Apr 2020');
+  eq(formatCell('2020-04-15T10:30:00Z', 'date', { dateFormat: 'iso', dateStyle: 'mdy' }), '04/15/2020 10:30');
+  eq(formatCell('03/04/2020', 'date', { dateFormat: 'dmy' }), '03/04/2020', 'no style keeps the text');
+});
+
+t('booleans become check marks; unparsable cells are unchanged', () => {
+  eq([formatCell('yes', 'boolean'), formatCell('False', 'boolean'), formatCell('maybe', 'boolean')], ['✓', '✗', 'maybe']);
+  eq(formatCell('n/a', 'decimal'), 'n/a');
+  eq(formatCell('', 'decimal'), '');
+  eq(formatCell('1234', 'string'), '1234');
+});
+
+t('cellLinkHref only links http(s) and mailto', () => {
+  eq(cellLinkHref('https://example.com/a?b=1', 'url'), 'https://example.com/a?b=1');
+  eq(cellLinkHref('www.example.org', 'url'), 'https://www.example.org');
+  eq(cellLinkHref('ann@example.com', 'email'), 'mailto:ann@example.com');
+  eq(cellLinkHref('javascript:alert(1)', 'url'), null);
+  eq(cellLinkHref('data:text/html,<b>', 'url'), null);
+  eq(cellLinkHref('https://example.com', 'string'), null);
+});
+
+/* ===== profileColumn ===== */
+console.log('\nprofileColumn');
+
+t('counts, empties, distinct values and top values', () => {
+  const p = profileColumn([['a'], ['b'], ['a'], [''], [' '], ['c'], ['a']], 0, 'string');
+  eq([p.count, p.empty, p.distinct, p.invalid], [7, 2, 3, 0]);
+  eq(p.top, [{ value: 'a', count: 3 }, { value: 'b', count: 1 }, { value: 'c', count: 1 }]);
+  eq([p.stats, p.range, p.histogram], [null, null, null]);
+});
+
+t('top values are limited by topCount', () => {
+  const rows = ['x', 'y', 'z', 'x'].map(v => [v]);
+  eq(profileColumn(rows, 0, 'string', { topCount: 1 }).top, [{ value: 'x', count: 2 }]);
+});
+
+t('numeric statistics skip values that are not numbers', () => {
+  const p = profileColumn([['2'], ['4'], ['n/a'], ['6'], ['4']], 0, 'integer');
+  eq(p.invalid, 1);
+  eq([p.stats.min, p.stats.max, p.stats.mean, p.stats.median], [2, 6, 4, 4]);
+  eq(p.stats.stddev, Math.sqrt(8 / 3), 'sample standard deviation');
+  eq(profileColumn([['1'], ['2']], 0, 'integer').stats.median, 1.5);
+});
+
+t('numbers use the number locale', () => {
+  const p = profileColumn([['1.000,5'], ['2,5']], 0, 'decimal', { decimal: ',' });
+  eq([p.stats.min, p.stats.max], [2.5, 1000.5]);
+});
+
+t('histogram bins span min to max', () => {
+  const rows = ['0', '1', '4', '5', '10'].map(v => [v]);
+  const h = profileColumn(rows, 0, 'integer', { bins: 2 }).histogram;
+  eq(h, [{ from: 0, to: 5, count: 3 }, { from: 5, to: 10, count: 2 }]);
+  eq(profileColumn([['7'], ['7']], 0, 'integer').histogram, [{ from: 7, to: 7, count: 2 }]);
+});
+
+t('dates give a range in their column format', () => {
+  const p = profileColumn([['15/04/2020'], ['01/01/2020'], ['31/12/2020']], 0, 'date', { dateFormat: 'dmy' });
+  eq([new Date(p.range.min).toISOString(), new Date(p.range.max).toISOString()],
+    ['2020-01-01T00:00:00.000Z', '2020-12-31T00:00:00.000Z']);
+  eq(p.stats, null);
+  eq(p.histogram.reduce((n, bin) => n + bin.count, 0), 3);
+});
+
+t('epoch dates past what a Date can hold count as invalid', () => {
+  const p = profileColumn([['1700000000'], ['99999999999999'], ['1600000000']], 0, 'date', { dateFormat: 'epoch' });
+  eq(p.invalid, 1);
+  eq([new Date(p.range.min).toISOString(), new Date(p.range.max).toISOString()],
+    ['2020-09-13T12:26:40.000Z', '2023-11-14T22:13:20.000Z']);
+  eq(profileColumn([['99999999999999']], 0, 'date', { dateFormat: 'epoch' }).range, null);
+});
+
+/* ===== Validation rules ===== */
+console.log('\nvalidation rules');
+
+const RULE_HEADERS = ['code', 'qty', 'status'];
+const RULE_DATA = [
+  ['AB1', '5', 'open'],
+  ['', '200', 'closed'],
+  ['ab2', 'many', 'open'],
+  ['AB1', '-1', 'lost'],
+];
+const problems = (result, row) => result.rows.get(RULE_DATA[row]) || {};
+
+t('required, pattern and unique', () => {
+  const result = validateRows(RULE_DATA, RULE_HEADERS, { code: { required: true, pattern: '^[A-Z]{2}\\d$', unique: true } });
+  eq(problems(result, 0), { 0: 'Duplicate' });
+  eq(problems(result, 1), { 0: 'Required' });
+  eq(problems(result, 2), { 0: "Doesn't match ^[A-Z]{2}\\d$" });
+  eq(problems(result, 3), { 0: 'Duplicate' });
+  eq(result.cellCount, 4);
+});
+
+t('type, min and max', () => {
+  const result = validateRows(RULE_DATA, RULE_HEADERS, { qty: { type: 'integer', min: 0, max: 100 } });
+  eq(problems(result, 0), {});
+  eq(problems(result, 1), { 1: 'Above 100' });
+  eq(problems(result, 2), { 1: 'Expected integer; Not a number' });
+  eq(problems(result, 3), { 1: 'Below 0' });
+});
+
+t('allowed values; empty cells only break required', () => {
+  const result = validateRows(RULE_DATA, RULE_HEADERS, {
+    status: { allowed: ['open', 'closed'] },
+    code: { pattern: '^[A-Z]' },
+  });
+  eq([...result.rows.keys()].map(row => RULE_DATA.indexOf(row)), [2, 3]);
+  eq(problems(result, 3), { 2: 'Not an allowed value' });
+});
+
+t('type rules use the number locale and date format', () => {
+  const data = [['1.234,5', '15/04/2020'], ['x', '04/15/2020']];
+  const result = validateRows(data, ['n', 'd'], { n: { type: 'decimal' }, d: { type: 'date' } },
+    { decimal: ',', dateFormats: { 1: 'dmy' } });
+  eq(result.rows.get(data[0]), undefined);
+  eq(result.rows.get(data[1]), { 0: 'Expected decimal', 1: 'Expected date' });
+});
+
+t('rules for missing columns are ignored', () => {
+  eq(validateRows(RULE_DATA, RULE_HEADERS, { other: { required: true } }).cellCount, 0);
+});
+
+t('parseRulesJSON cleans up and rejects bad rules', () => {
+  eq(parseRulesJSON('{"columns": {"a": {"required": true, "min": null}, "b": {}}}'), { a: { required: true } });
+  const error = text => { try { parseRulesJSON(text); return null; } catch (err) { return err.message; } };
+  ok(error('nope').startsWith('Not valid JSON'));
+  eq(error('[]'), 'Expected an object with a "columns" object');
+  eq(error('{"columns": {"a": {"size": 3}}}'), 'Unknown rule "size" for "a"');
+  eq(error('{"columns": {"a": {"type": "money"}}}'), 'Unknown type "money" for "a"');
+  eq(error('{"columns": {"a": {"min": "0"}}}'), '"min" for "a" must be a number');
+  eq(error('{"columns": {"a": {"allowed": "x"}}}'), '"allowed" for "a" must be a list of strings');
+  ok(error('{"columns": {"a": {"pattern": "("}}}').startsWith('Bad pattern for "a"'));
+});
+
+/* ===== Schema generation ===== */
+console.log('\nschema generation');
+
+const SCHEMA_HEADERS = ['id', 'name', 'price', 'born', 'active', 'notes'];
+const SCHEMA_DATA = [
+  ['1', 'Ann', '$1,200.50', '15/04/1990', 'yes', ''],
+  ['2', 'Bartholomew', '$3', '01/02/1985', 'no', ''],
+  ['3', '', '$10.125', '31/12/2000', 'yes', ''],
+];
+const SCHEMA_TYPES = { 0: 'integer', 1: 'string', 2: 'currency', 3: 'date', 4: 'boolean', 5: 'empty' };
+const schemaColumns = () => describeColumns(SCHEMA_HEADERS, SCHEMA_DATA, SCHEMA_TYPES, { dateFormats: { 3: 'dmy' } });
+
+t('describeColumns: nullability, lengths and numeric ranges', () => {
+  const [id, name, price, born] = schemaColumns();
+  eq([id.nullable, id.min, id.max, id.precision, id.scale], [false, 1, 3, 1, 0]);
+  eq([name.nullable, name.maxLength], [true, 11]);
+  eq([price.min, price.max, price.precision, price.scale], [3, 1200.5, 7, 3]);
+  eq([born.hasTime, born.invalid], [false, 0]);
+});
+
+t('describeColumns counts values that do not read as the type', () => {
+  const [col] = describeColumns(['n'], [['1'], ['n/a'], ['2']], { 0: 'integer' });
+  eq(col.invalid, 1);
+  ok(schemaToSQL([col], 't.csv', 'postgresql').includes('"n" VARCHAR(3) NOT NULL'));
+});
+
+t('schemaToJSONSchema', () => {
+  const schema = JSON.parse(schemaToJSONSchema(schemaColumns(), 'people.csv'));
+  eq(schema.title, 'people');
+  eq(schema.properties.id, { type: 'integer', minimum: 1, maximum: 3 });
+  eq(schema.properties.name, { type: ['string', 'null'], maxLength: 11 });
+  eq(schema.properties.born, { type: 'string', format: 'date' });
+  eq(schema.properties.active, { type: 'boolean' });
+  eq(schema.properties.notes, { type: 'null' });
+  eq(schema.required, ['id', 'price', 'born', 'active']);
+});
+
+t('schemaToSQL: PostgreSQL', () => {
+  eq(schemaToSQL(schemaColumns(), 'people.csv', 'postgresql'), [
+    'CREATE TABLE "people" (',
+    '  "id" INTEGER NOT NULL,',
+    '  "name" VARCHAR(11),',
+    '  "price" NUMERIC(7, 3) NOT NULL,',
+    '  "born" DATE NOT NULL,',
+    '  "active" BOOLEAN NOT NULL,',
+    '  "notes" TEXT',
+    ');',
+    '',
+  ].join('\n'));
+});
+
+t('schemaToSQL: SQLite and MySQL types and quoting', () => {
+  const cols = describeColumns(['a`b', 'when', 'big'], [['x', '2020-01-01T10:00:00Z', '9999999999']],
+    { 0: 'string', 1: 'date', 2: 'integer' });
+  const mysql = schemaToSQL(cols, '2024 sales.csv', 'mysql');
+  ok(mysql.startsWith('CREATE TABLE `t_2024_sales` ('));
+  ok(mysql.includes('`a``b` VARCHAR(1) NOT NULL'));
+  ok(mysql.includes('`when` DATETIME NOT NULL'));
+  ok(mysql.includes('`big` BIGINT NOT NULL'));
+  const sqlite = schemaToSQL(cols, 'x.csv', 'sqlite');
+  ok(sqlite.includes('"a`b" TEXT NOT NULL') && sqlite.includes('"when" TEXT NOT NULL') && sqlite.includes('"big" INTEGER'));
+});
+
+t('schemaToTypeScript', () => {
+  eq(schemaToTypeScript(schemaColumns(), 'people list.csv'), [
+    'export interface PeopleList {',
+    '  id: number;',
+    '  /** Up to 11 characters */',
+    '  name: string | null;',
+    '  price: number;',
+    '  /** ISO 8601 date */',
+    '  born: string;',
+    '  active: boolean;',
+    '  notes: null;',
+    '}',
+    '',
+  ].join('\n'));
+  ok(schemaToTypeScript(describeColumns(['first name'], [['x']], {}), 'a.csv').includes('"first name": string;'));
+});
+
 /* ===== buildPageList ===== */
 console.log('\nbuildPageList');
 
@@ -485,6 +1964,23 @@ t('number coerced to string', () => {
   eq(escapeCSVField(42), '42');
 });
 
+/* ===== formatBytes ===== */
+console.log('\nformatBytes');
+
+t('bytes below 1 KB shown as-is', () => {
+  eq(formatBytes(0), '0 B');
+  eq(formatBytes(1023), '1023 B');
+});
+
+t('small values keep one decimal', () => {
+  eq(formatBytes(1536), '1.5 KB');
+});
+
+t('large values are rounded', () => {
+  eq(formatBytes(200 * 1024 * 1024), '200 MB');
+  eq(formatBytes(3 * 1024 * 1024 * 1024), '3.0 GB');
+});
+
 /* ===== Integration ===== */
 console.log('\nIntegration');
 
@@ -492,7 +1988,7 @@ t('full pipeline: parse → build → filter → sort → paginate', () => {
   const { rows } = parseCSV('name,score\nAlice,85\nBob,72\nCharlie,91\nDiana,68\nEve,85');
   const { headers, data } = buildData(rows);
   const ct = detectColTypes(headers, data);
-  eq(ct[1], 'number');
+  eq(ct[1], 'integer');
 
   // "8" appears in: Alice(85)=yes, Bob(72)=no, Charlie(91)=no, Diana(68)=yes, Eve(85)=yes
   let filtered = filterRows(data, headers, '8', []);
@@ -542,12 +2038,12 @@ t('filter + sort independence', () => {
   eq(sorted[1][0], 'Alice');  // 50
 });
 
-t('exactly 80% threshold → number', () => {
+t('exactly 80% threshold → integer', () => {
   // 8 numbers + 2 empty → 8/8 non-empty = 100% number
   // 8 numbers + 2 strings → 8/10 = 80% → number
   const data = Array.from({ length: 10 }, (_, i) => [i < 8 ? String(i) : 'text']);
   const types = detectColTypes(['c'], data);
-  eq(types[0], 'number'); // 8/10 = 80% meets threshold
+  eq(types[0], 'integer'); // 8/10 = 80% meets threshold
 });
 
 /* ===== Summary ===== */